@@ -0,0 +1,11 @@
+// Accept final deliveries the buyer has not responded to within
+// DELIVERY_AUTO_ACCEPT_DAYS, completing their orders. Run daily.
+//
+// Usage: node scripts/auto-accept-deliveries.js
+import { milestoneService } from '../src/services/milestone.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const count = await milestoneService.autoAcceptDeliveries();
+console.log(`Auto-accepted ${count} final deliver${count === 1 ? 'y' : 'ies'}`);
+await disconnectDatabase();
+process.exit(0);
@@ -0,0 +1,46 @@
+// Build the offline breached-password file used by the password policy.
+//
+// Usage: node scripts/build-breached-passwords.js <plaintext-list> [limit]
+//
+// The input is a newline-delimited list of passwords, most common first.
+// Only SHA-1 hashes are written, grouped k-anonymity style as PREFIX:SUFFIX
+// (5 + 35 hex characters), so lookups only ever touch a hash prefix.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT = path.join(__dirname, '../src/data/breached-passwords.txt');
+
+const [inputPath, limitArg] = process.argv.slice(2);
+if (!inputPath) {
+  console.error('Usage: node scripts/build-breached-passwords.js <plaintext-list> [limit]');
+  process.exit(1);
+}
+
+const limit = limitArg ? parseInt(limitArg, 10) : Infinity;
+const passwords = fs
+  .readFileSync(inputPath, 'utf-8')
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .slice(0, limit);
+
+const hashes = [...new Set(
+  passwords.map((password) =>
+    crypto.createHash('sha1').update(password).digest('hex').toUpperCase()
+  )
+)].sort();
+
+const lines = hashes.map((hash) => `${hash.slice(0, 5)}:${hash.slice(5)}`);
+fs.writeFileSync(
+  OUTPUT,
+  [
+    '# SHA-1 hashes of common and breached passwords, as PREFIX:SUFFIX.',
+    '# Generated by scripts/build-breached-passwords.js - do not edit by hand.',
+    ...lines,
+  ].join('\n') + '\n'
+);
+
+console.log(`Wrote ${lines.length} hashes to ${path.relative(process.cwd(), OUTPUT)}`);
@@ -0,0 +1,23 @@
+// Lock every artist balance past the holding period into a payout batch.
+// Admins then download the bank-transfer CSV from
+// GET /api/admin/payout-batches/:id/export and mark the batch paid.
+//
+// Usage: node scripts/create-payout-batch.js [currency]
+import { payoutService } from '../src/services/payout.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const currency = process.argv[2]?.toUpperCase();
+const { batch, skipped } = await payoutService.createBatch(null, { currency });
+
+if (batch) {
+  console.log(
+    `Payout batch ${batch.id}: ${batch.payoutCount} payout(s), ${batch.total} ${batch.currency}`
+  );
+} else {
+  console.log('No eligible balances to pay out');
+}
+if (skipped.length > 0) {
+  console.log(`Skipped ${skipped.length} artist(s) without a payout account`);
+}
+await disconnectDatabase();
+process.exit(0);
@@ -0,0 +1,11 @@
+// Issue invoices for captured payments and credit notes for succeeded
+// refunds that do not have one yet, e.g. after a storage outage.
+//
+// Usage: node scripts/issue-missing-invoices.js
+import { invoiceService } from '../src/services/invoice.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const count = await invoiceService.issueMissing();
+console.log(`Issued ${count} missing invoice${count === 1 ? '' : 's'}`);
+await disconnectDatabase();
+process.exit(0);
@@ -0,0 +1,10 @@
+// Rebuild the full-text search document of every product.
+//
+// Usage: node scripts/reindex-product-search.js
+import { productSearchService } from '../src/services/product-search.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const updated = await productSearchService.rebuildSearchIndex();
+console.log(`Reindexed ${updated} product(s)`);
+await disconnectDatabase();
+process.exit(0);
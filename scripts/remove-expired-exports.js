@@ -0,0 +1,11 @@
+// Delete data export archives whose download link has expired. Run
+// periodically, e.g. hourly from cron.
+//
+// Usage: node scripts/remove-expired-exports.js
+import { dataExportService } from '../src/services/data-export.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const count = await dataExportService.removeExpiredExports();
+console.log(`Removed ${count} expired export${count === 1 ? '' : 's'}`);
+await disconnectDatabase();
+process.exit(0);
@@ -0,0 +1,10 @@
+// Retry failed file scans and scans left pending by a restart.
+//
+// Usage: node scripts/rescan-pending-files.js
+import { fileScanService } from '../src/services/file-scan.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const count = await fileScanService.rescanPending();
+console.log(`Rescanned ${count} file(s)`);
+await disconnectDatabase();
+process.exit(0);
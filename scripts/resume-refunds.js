@@ -0,0 +1,12 @@
+// Finish refunds left PENDING by a crash or a database error: book those the
+// gateway accepted and send those that never reached it. Refunds whose
+// gateway outcome is unknown are flagged for manual reconciliation.
+//
+// Usage: node scripts/resume-refunds.js
+import { refundService } from '../src/services/refund.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const count = await refundService.resumePending();
+console.log(`Resumed ${count} refund${count === 1 ? '' : 's'}`);
+await disconnectDatabase();
+process.exit(0);
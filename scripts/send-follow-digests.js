@@ -0,0 +1,11 @@
+// Email inactive followers a digest of new work from the artists they follow.
+// Run periodically, e.g. daily from cron.
+//
+// Usage: node scripts/send-follow-digests.js
+import { feedService } from '../src/services/feed.service.js';
+import { disconnectDatabase } from '../src/prisma/prisma.client.js';
+
+const sent = await feedService.sendDigests();
+console.log(`Sent ${sent} follow digest(s)`);
+await disconnectDatabase();
+process.exit(0);
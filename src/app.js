@@ -6,17 +6,21 @@ import corsOptions from './config/cors.config.js';
 import { errorHandler } from './middleware/error.middleware.js';
 import { publicLimiter, authLimiter, apiLimiter } from './middleware/rate-limiter.middleware.js';
 import { connectDatabase } from './prisma/prisma.client.js';
-// import { fileScanner } from './middleware/file-scanner.middleware.js';
 
 
 // Routes imports
 import authRoutes from './routes/auth.routes.js';
-// import productRoutes from './routes/product.routes.js';
-// import orderRoutes from './routes/order.routes.js';
+import productRoutes from './routes/product.routes.js';
+import orderRoutes from './routes/order.routes.js';
 // import chatRoutes from './routes/chat.routes.js';
-// import customRequestRoutes from './routes/custom-request.routes.js';
+import customRequestRoutes from './routes/custom-request.routes.js';
 // import discountRoutes from './routes/discount.routes.js';
-// import adminRoutes from './routes/admin.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import artistRoutes from './routes/artist.routes.js';
+import userRoutes from './routes/user.routes.js';
+import collectionRoutes from './routes/collection.routes.js';
+import storageRoutes from './routes/storage.routes.js';
+import paymentRoutes from './routes/payment.routes.js';
 
 const app = express();
 
@@ -31,7 +35,6 @@ app.use(cors(corsOptions));
 
 // Security middleware
 app.use(publicLimiter); // Apply to all routes
-// app.use(fileScanner);
 
 // Hello From Api Route
 app.get('/health', (req, res) => {
@@ -44,14 +47,19 @@ app.get('/health', (req, res) => {
 
 // API routes with specific rate limits
 app.use('/api/auth', authLimiter, authRoutes);
-// app.use('/api/products', apiLimiter, productRoutes);
-// app.use('/api/orders', apiLimiter, orderRoutes);
+app.use('/api/products', apiLimiter, productRoutes);
+app.use('/api/orders', apiLimiter, orderRoutes);
 // app.use('/api/chat', apiLimiter, chatRoutes);
-// app.use('/api/custom-requests', apiLimiter, customRequestRoutes);
+app.use('/api/custom-requests', apiLimiter, customRequestRoutes);
 // app.use('/api/discounts', apiLimiter, discountRoutes);
+app.use('/api/artists', apiLimiter, artistRoutes);
+app.use('/api/users', apiLimiter, userRoutes);
+app.use('/api/collections', apiLimiter, collectionRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Admin routes with stricter rate limits
-// app.use('/api/admin', authLimiter, adminRoutes);
+app.use('/api/admin', authLimiter, adminRoutes);
 
 // Error handling
 app.use(errorHandler);
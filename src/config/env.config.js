@@ -19,6 +19,9 @@ export const env = {
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET,
   JWT_ACCESS_SECRET: process.env.JWT_ACCESS_SECRET,
 
+  // Two-factor authentication
+  TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+
   // For production (Gmail)
   EMAIL_USER: process.env.EMAIL_USER,
   EMAIL_PASSWORD: process.env.EMAIL_PASSWORD,
@@ -31,10 +34,85 @@ export const env = {
   MAILOSAUR_PASSWORD: process.env.MAILOSAUR_PASSWORD,
   MAILOSAUR_SENDER_EMAIL: process.env.MAILOSAUR_SENDER_EMAIL,
 
+  // Password policy
+  PASSWORD_MIN_LENGTH: process.env.PASSWORD_MIN_LENGTH,
+  PASSWORD_REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE,
+  PASSWORD_REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE,
+  PASSWORD_REQUIRE_DIGIT: process.env.PASSWORD_REQUIRE_DIGIT,
+  PASSWORD_REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL,
+  PASSWORD_REJECT_PERSONAL_INFO: process.env.PASSWORD_REJECT_PERSONAL_INFO,
+  PASSWORD_CHECK_BREACHED: process.env.PASSWORD_CHECK_BREACHED,
+
+  // Personal data exports
+  DATA_EXPORT_DIR: process.env.DATA_EXPORT_DIR || 'storage/exports',
+
+  // Reviews
+  REVIEW_EDIT_WINDOW_DAYS: parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS) || 7,
+
+  // Object storage
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || 'storage/files',
+  STORAGE_PUBLIC_URL: process.env.STORAGE_PUBLIC_URL,
+  STORAGE_SIGNING_SECRET: process.env.STORAGE_SIGNING_SECRET,
+  STORAGE_SIGNED_URL_TTL: parseInt(process.env.STORAGE_SIGNED_URL_TTL) || 300,
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+
+  // Uploads and file scanning
+  UPLOAD_MAX_FILE_SIZE_MB: parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10,
+  UPLOAD_MAX_FILES: parseInt(process.env.UPLOAD_MAX_FILES) || 5,
+  FILE_SCANNER: process.env.FILE_SCANNER || (process.env.NODE_ENV === 'production' ? 'clamav' : 'stub'),
+  CLAMAV_SOCKET: process.env.CLAMAV_SOCKET || '/var/run/clamav/clamd.ctl',
+  CLAMAV_HOST: process.env.CLAMAV_HOST,
+  CLAMAV_PORT: parseInt(process.env.CLAMAV_PORT) || 3310,
+  CLAMAV_TIMEOUT_MS: parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000,
+
+  // Quotes
+  QUOTE_EXPIRY_DAYS: parseInt(process.env.QUOTE_EXPIRY_DAYS) || 14,
+  DEFAULT_CURRENCY: process.env.DEFAULT_CURRENCY || 'EGP',
+
+  // Deliveries
+  DELIVERY_AUTO_ACCEPT_DAYS: parseInt(process.env.DELIVERY_AUTO_ACCEPT_DAYS) || 7,
+
+  // Payments
+  // 'fake' (local development only) must be chosen explicitly
+  PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY || 'paymob',
+  PAYMOB_API_URL: process.env.PAYMOB_API_URL || 'https://accept.paymob.com',
+  PAYMOB_SECRET_KEY: process.env.PAYMOB_SECRET_KEY,
+  PAYMOB_PUBLIC_KEY: process.env.PAYMOB_PUBLIC_KEY,
+  PAYMOB_HMAC_SECRET: process.env.PAYMOB_HMAC_SECRET,
+  PAYMOB_INTEGRATION_IDS: (process.env.PAYMOB_INTEGRATION_IDS || '')
+    .split(',')
+    .map((id) => parseInt(id))
+    .filter(Boolean),
+
+  // Refunds
+  REFUND_PROCESSING_PERCENT: process.env.REFUND_PROCESSING_PERCENT,
+  REFUND_ARTIST_CANCELLATION_PERCENT: process.env.REFUND_ARTIST_CANCELLATION_PERCENT,
+
+  // Artist earnings and payouts
+  PLATFORM_COMMISSION_PERCENT: parseFloat(process.env.PLATFORM_COMMISSION_PERCENT ?? '15'),
+  PAYOUT_HOLDING_DAYS: parseInt(process.env.PAYOUT_HOLDING_DAYS) || 14,
+
+  // Invoices
+  INVOICE_TAX_PERCENT: parseFloat(process.env.INVOICE_TAX_PERCENT ?? '14'),
+  INVOICE_SELLER_NAME: process.env.INVOICE_SELLER_NAME || process.env.APP_NAME,
+  INVOICE_SELLER_ADDRESS: process.env.INVOICE_SELLER_ADDRESS,
+  INVOICE_SELLER_TAX_ID: process.env.INVOICE_SELLER_TAX_ID,
+
+  // Follow digests
+  FOLLOW_DIGEST_INACTIVE_DAYS: parseInt(process.env.FOLLOW_DIGEST_INACTIVE_DAYS) || 7,
+  FOLLOW_DIGEST_INTERVAL_DAYS: parseInt(process.env.FOLLOW_DIGEST_INTERVAL_DAYS) || 7,
+
   // Rate Limiting
   RATE_LIMIT_OVERRIDES: process.env.RATE_LIMIT_OVERRIDES,
 
   // Google OAuth2
   GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
-  GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET
+  GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
+  GOOGLE_MOBILE_CLIENT_IDS: process.env.GOOGLE_MOBILE_CLIENT_IDS
 };
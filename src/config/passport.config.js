@@ -2,6 +2,7 @@ import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
 import { authService } from '../services/auth.service.js';
 import { AppError } from '../middleware/error.middleware.js';
+import { prisma } from '../prisma/prisma.client.js';
 
 const configurePassport = () => {
   passport.use(new GoogleStrategy({
@@ -15,7 +16,13 @@ const configurePassport = () => {
       const user = await authService.handleGoogleLogin(profile);
       done(null, user);
     } catch (error) {
-      done(new AppError(401, 'Google authentication failed'), null);
+      // Keep operational errors (e.g. a pending account link) for the callback.
+      done(
+        error instanceof AppError
+          ? error
+          : new AppError(401, 'Google authentication failed'),
+        null
+      );
     }
   }));
 
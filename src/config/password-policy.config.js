@@ -0,0 +1,18 @@
+import { env } from './env.config.js';
+
+const toBoolean = (value, fallback) =>
+  value === undefined ? fallback : value === 'true';
+
+// Password rules applied on registration, reset and password change.
+const passwordPolicy = Object.freeze({
+  minLength: parseInt(env.PASSWORD_MIN_LENGTH, 10) || 10,
+  maxLength: 128,
+  requireLowercase: toBoolean(env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireUppercase: toBoolean(env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireDigit: toBoolean(env.PASSWORD_REQUIRE_DIGIT, true),
+  requireSymbol: toBoolean(env.PASSWORD_REQUIRE_SYMBOL, false),
+  rejectPersonalInfo: toBoolean(env.PASSWORD_REJECT_PERSONAL_INFO, true),
+  checkBreached: toBoolean(env.PASSWORD_CHECK_BREACHED, true),
+});
+
+export default passwordPolicy;
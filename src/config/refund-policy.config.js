@@ -0,0 +1,23 @@
+import { env } from './env.config.js';
+import { OrderStatus } from '../utils/constants.js';
+
+const toPercent = (value, fallback) => {
+  const percent = parseInt(value, 10);
+  return Number.isNaN(percent) ? fallback : Math.min(100, Math.max(0, percent));
+};
+
+// Share of the captured amount refunded when an order is cancelled, by the
+// order's status at the time. Completed orders are never refunded by policy;
+// admins can still issue an explicit refund.
+const refundPolicy = Object.freeze({
+  byStatus: Object.freeze({
+    [OrderStatus.DRAFT]: 100,
+    [OrderStatus.PENDING]: 100,
+    [OrderStatus.PROCESSING]: toPercent(env.REFUND_PROCESSING_PERCENT, 50),
+    [OrderStatus.COMPLETED]: 0,
+  }),
+  // An artist walking away from work in progress refunds the buyer.
+  artistCancellation: toPercent(env.REFUND_ARTIST_CANCELLATION_PERCENT, 100),
+});
+
+export default refundPolicy;
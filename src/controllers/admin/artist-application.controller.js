@@ -0,0 +1,16 @@
+import { artistApplicationService } from '../../services/artist-application.service.js';
+import catchAsync from '../../utils/catchAsync.js';
+
+export const listApplications = catchAsync(async (req, res, next) => {
+  const result = await artistApplicationService.list(req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const reviewApplication = catchAsync(async (req, res, next) => {
+  const application = await artistApplicationService.review(
+    req.params.id,
+    req.user.id,
+    req.body
+  );
+  res.status(200).json({ success: true, data: { application } });
+});
@@ -0,0 +1,7 @@
+import { auditService } from '../../services/audit.service.js';
+import catchAsync from '../../utils/catchAsync.js';
+
+export const listAuditEvents = catchAsync(async (req, res, next) => {
+  const result = await auditService.list(req.query);
+  res.status(200).json({ success: true, data: result });
+});
@@ -0,0 +1,36 @@
+import { payoutService } from '../../services/payout.service.js';
+import catchAsync from '../../utils/catchAsync.js';
+
+export const listBatches = catchAsync(async (req, res, next) => {
+  const result = await payoutService.listBatches(req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const createBatch = catchAsync(async (req, res, next) => {
+  const { batch, skipped } = await payoutService.createBatch(req.user, req.body);
+  if (!batch) {
+    return res.status(200).json({
+      success: true,
+      message: 'No eligible balances to pay out',
+      data: { batch, skippedArtistIds: skipped },
+    });
+  }
+  res.status(201).json({ success: true, data: { batch, skippedArtistIds: skipped } });
+});
+
+export const getBatch = catchAsync(async (req, res, next) => {
+  const batch = await payoutService.getBatch(req.params.id);
+  res.status(200).json({ success: true, data: { batch } });
+});
+
+export const exportBatch = catchAsync(async (req, res, next) => {
+  const { fileName, csv } = await payoutService.exportCsv(req.params.id, req.user);
+  res.attachment(fileName);
+  res.type('text/csv');
+  res.send(csv);
+});
+
+export const markBatchPaid = catchAsync(async (req, res, next) => {
+  const batch = await payoutService.markPaid(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { batch } });
+});
@@ -0,0 +1,17 @@
+import { refundService } from '../../services/refund.service.js';
+import catchAsync from '../../utils/catchAsync.js';
+
+export const listRefunds = catchAsync(async (req, res, next) => {
+  const result = await refundService.list(req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const createRefund = catchAsync(async (req, res, next) => {
+  const refund = await refundService.refundPayment(req.params.id, req.user, req.body);
+  res.status(201).json({ success: true, data: { refund } });
+});
+
+export const recordChargeback = catchAsync(async (req, res, next) => {
+  const payment = await refundService.recordChargeback(req.params.id, req.user, req.body);
+  res.status(201).json({ success: true, data: { payment } });
+});
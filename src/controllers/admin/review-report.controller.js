@@ -0,0 +1,12 @@
+import { reviewService } from '../../services/review.service.js';
+import catchAsync from '../../utils/catchAsync.js';
+
+export const listReports = catchAsync(async (req, res, next) => {
+  const result = await reviewService.listReports(req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const resolveReport = catchAsync(async (req, res, next) => {
+  await reviewService.resolveReport(req.params.id, req.user.id, req.body.action);
+  res.status(200).json({ success: true, message: 'Report resolved' });
+});
@@ -0,0 +1,34 @@
+import { artistApplicationService } from '../services/artist-application.service.js';
+import { artistProfileService } from '../services/artist-profile.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const submitApplication = catchAsync(async (req, res, next) => {
+  const application = await artistApplicationService.submit(req.user.id, req.body);
+  res.status(201).json({
+    success: true,
+    message: 'Your application has been submitted for review.',
+    data: { application },
+  });
+});
+
+export const getMyApplications = catchAsync(async (req, res, next) => {
+  const applications = await artistApplicationService.listForUser(req.user.id);
+  res.status(200).json({ success: true, data: { applications } });
+});
+
+// Public storefront; contains no per-viewer data so shared caches may store it.
+export const getStorefront = catchAsync(async (req, res, next) => {
+  const storefront = await artistProfileService.getStorefront(req.params.username);
+  res.set('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
+  res.status(200).json({ success: true, data: storefront });
+});
+
+export const getMyProfile = catchAsync(async (req, res, next) => {
+  const profile = await artistProfileService.getOwnProfile(req.user.id);
+  res.status(200).json({ success: true, data: { profile } });
+});
+
+export const updateMyProfile = catchAsync(async (req, res, next) => {
+  const profile = await artistProfileService.updateOwnProfile(req.user.id, req.body);
+  res.status(200).json({ success: true, data: { profile } });
+});
@@ -1,13 +1,66 @@
+import passport from 'passport';
 import { authService } from '../services/auth.service.js';
+import { twoFactorService } from '../services/two-factor.service.js';
 import catchAsync from '../utils/catchAsync.js';
 import { AppError } from '../middleware/error.middleware.js';
+import getClientInfo from '../utils/clientInfo.js';
 
 export const login = catchAsync(async (req, res, next) => {
   const { identifier, password } = req.body;
-  const tokens = await authService.login(identifier, password, req.ip);
+  const result = await authService.login(
+    identifier,
+    password,
+    getClientInfo(req)
+  );
+  res.status(200).json({ success: true, ...result });
+});
+
+export const verifyTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+  const tokens = await authService.verifyTwoFactorLogin(
+    challengeToken,
+    code,
+    getClientInfo(req)
+  );
   res.status(200).json({ success: true, ...tokens });
 });
 
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const enrollment = await twoFactorService.setup(req.user.id);
+  res.status(200).json({
+    success: true,
+    message: 'Scan the code with your authenticator app, then confirm it to enable two-factor authentication.',
+    data: enrollment,
+  });
+});
+
+export const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  const { recoveryCodes } = await twoFactorService.enable(req.user.id, code);
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+    data: { recoveryCodes },
+  });
+});
+
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password } = req.body;
+  await twoFactorService.disable(req.user.id, password);
+  res
+    .status(200)
+    .json({ success: true, message: 'Two-factor authentication disabled' });
+});
+
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { password } = req.body;
+  const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+    req.user.id,
+    password
+  );
+  res.status(200).json({ success: true, data: { recoveryCodes } });
+});
+
 export const register = catchAsync(async (req, res, next) => {
   const { email, username, password } = req.body;
   const newUser = await authService.register(email, username, password, req);
@@ -22,16 +75,36 @@ export const register = catchAsync(async (req, res, next) => {
 
 export const logout = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body;
-  await authService.logout(refreshToken);
+  if (!refreshToken) {
+    throw new AppError(400, 'Refresh token is required');
+  }
+  await authService.logout(refreshToken, getClientInfo(req));
   res.status(200).json({ success: true, message: 'Logged out successfully' });
 });
 
 export const refreshToken = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body;
-  const tokens = await authService.refreshToken(refreshToken);
+  const tokens = await authService.refreshToken(refreshToken, getClientInfo(req));
   res.status(200).json({ success: true, ...tokens });
 });
 
+export const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await authService.listSessions(req.user.id, req.user.sessionId);
+  res.status(200).json({ success: true, data: { sessions } });
+});
+
+export const revokeSession = catchAsync(async (req, res, next) => {
+  await authService.revokeSession(req.user.id, req.params.id, getClientInfo(req));
+  res.status(200).json({ success: true, message: 'Session revoked' });
+});
+
+export const logoutAll = catchAsync(async (req, res, next) => {
+  await authService.revokeAllSessions(req.user.id, getClientInfo(req));
+  res
+    .status(200)
+    .json({ success: true, message: 'Logged out from all devices' });
+});
+
 export const forgotPassword = catchAsync(async (req, res, next) => {
   const { email } = req.body;
   await authService.forgotPassword(email, req);
@@ -42,6 +115,31 @@ export const forgotPassword = catchAsync(async (req, res, next) => {
   });
 });
 
+export const requestMagicLink = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+  if (!email) {
+    throw new AppError(400, 'Email is required');
+  }
+  await authService.requestMagicLink(email, req);
+  res.status(200).json({
+    success: true,
+    message:
+      'If that email address is registered, a sign-in link has been sent.',
+  });
+});
+
+export const verifyMagicLink = catchAsync(async (req, res, next) => {
+  const token = Array.isArray(req.query.token)
+    ? req.query.token[0]
+    : req.query.token;
+
+  if (!token) {
+    throw new AppError(400, 'Login token is required');
+  }
+  const result = await authService.verifyMagicLink(token, getClientInfo(req));
+  res.status(200).json({ success: true, ...result });
+});
+
 export const resetPassword = catchAsync(async (req, res, next) => {
   const { token } = req.query;
   const { newPassword, confirmPassword } = req.body;
@@ -55,7 +153,7 @@ export const resetPassword = catchAsync(async (req, res, next) => {
     throw new AppError(400, 'Passwords do not match');
   }
 
-  await authService.resetPassword(token, newPassword);
+  await authService.resetPassword(token, newPassword, getClientInfo(req));
   res.status(200).json({ success: true, message: 'Password has been reset' });
 });
 
@@ -65,7 +163,15 @@ export const updatePassword = catchAsync(async (req, res, next) => {
     return next(new AppError(401, 'Not authenticated'));
   }
   const { currentPassword, newPassword } = req.body;
-  await authService.updatePassword(userId, currentPassword, newPassword);
+  if (!currentPassword) {
+    throw new AppError(400, 'Current password is required');
+  }
+  await authService.updatePassword(
+    userId,
+    currentPassword,
+    newPassword,
+    getClientInfo(req)
+  );
   res
     .status(200)
     .json({ success: true, message: 'Password updated successfully' });
@@ -79,7 +185,7 @@ export const verifyEmail = catchAsync(async (req, res, next) => {
   if (!token) {
     throw new AppError(400, 'Verification token is required');
   }
-  const result = await authService.verifyEmail(token);
+  const result = await authService.verifyEmail(token, getClientInfo(req));
   res.status(200).json({
     success: true,
     message: 'Email verified successfully',
@@ -90,11 +196,21 @@ export const verifyEmail = catchAsync(async (req, res, next) => {
   });
 });
 
-// export const googleLogin = catchAsync(async (req, res, next) => {
-//   const { idToken } = req.body;
-//   const tokens = await authService.googleLogin(idToken, req);
-//   res.status(200).json({ success: true, ...tokens });
-// });
+export const googleLogin = catchAsync(async (req, res, next) => {
+  const { idToken } = req.body;
+  const result = await authService.googleLogin(idToken, getClientInfo(req));
+  res.status(200).json({ success: true, ...result });
+});
+
+export const linkGoogleAccount = catchAsync(async (req, res, next) => {
+  const { linkToken, password } = req.body;
+  const result = await authService.linkGoogleAccount(
+    linkToken,
+    password,
+    getClientInfo(req)
+  );
+  res.status(200).json({ success: true, ...result });
+});
 
 export const googleAuth = catchAsync(async (req, res) => {
   passport.authenticate('google', {
@@ -107,14 +223,20 @@ export const googleAuthCallback = catchAsync(async (req, res) => {
   passport.authenticate('google', { session: false }, async (error, user) => {
     if (error || !user) {
       const redirectUrl = JSON.parse(req.query.state)?.redirectUrl || '/api/auth/login';
+      if (error?.details?.linkRequired) {
+        return res.redirect(`${redirectUrl}?error=link_required&link_token=${error.details.linkToken}`);
+      }
       return res.redirect(`${redirectUrl}?error=authentication_failed`);
     }
 
-    const tokens = await authService.generateTokens(user.id, user.role);
+    const result = await authService.completeLogin(user, getClientInfo(req), 'google');
     
     const state = JSON.parse(req.query.state || '{}');
     const redirectUrl = state.redirectUrl || process.env.FRONTEND_URL;
 
-    res.redirect(`${redirectUrl}?access_token=${tokens.accessToken}&refresh_token=${tokens.refreshToken}`);
+    if (result.twoFactorRequired) {
+      return res.redirect(`${redirectUrl}?challenge_token=${result.challengeToken}`);
+    }
+    res.redirect(`${redirectUrl}?access_token=${result.accessToken}&refresh_token=${result.refreshToken}`);
   })(req, res);
 });
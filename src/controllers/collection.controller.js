@@ -0,0 +1,37 @@
+import { collectionService } from '../services/collection.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const getMyCollections = catchAsync(async (req, res, next) => {
+  const collections = await collectionService.listMine(req.user.id);
+  res.status(200).json({ success: true, data: { collections } });
+});
+
+export const createCollection = catchAsync(async (req, res, next) => {
+  const collection = await collectionService.create(req.user.id, req.body);
+  res.status(201).json({ success: true, data: { collection } });
+});
+
+export const getCollection = catchAsync(async (req, res, next) => {
+  const collection = await collectionService.getById(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { collection } });
+});
+
+export const updateCollection = catchAsync(async (req, res, next) => {
+  const collection = await collectionService.update(req.params.id, req.user.id, req.body);
+  res.status(200).json({ success: true, data: { collection } });
+});
+
+export const deleteCollection = catchAsync(async (req, res, next) => {
+  await collectionService.delete(req.params.id, req.user.id);
+  res.status(200).json({ success: true, message: 'Collection deleted' });
+});
+
+export const addItem = catchAsync(async (req, res, next) => {
+  const item = await collectionService.addItem(req.params.id, req.user.id, req.body);
+  res.status(201).json({ success: true, data: { item } });
+});
+
+export const removeItem = catchAsync(async (req, res, next) => {
+  await collectionService.removeItem(req.params.id, req.user.id, req.params.productId);
+  res.status(200).json({ success: true, message: 'Product removed from collection' });
+});
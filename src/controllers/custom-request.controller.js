@@ -0,0 +1,37 @@
+import { customRequestService } from '../services/custom-request.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const createCustomRequest = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.createDraft(req.user.id, req.body);
+  res.status(201).json({ success: true, data: { order } });
+});
+
+export const updateCustomRequest = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.updateDraft(req.params.id, req.user.id, req.body);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const submitCustomRequest = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.submit(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const quoteCustomRequest = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.quote(req.params.id, req.user, req.body);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const approveQuote = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.approveQuote(req.params.id, req.user, req.body);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const requestRevision = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.requestRevision(req.params.id, req.user, req.body);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const cancelCustomRequest = catchAsync(async (req, res, next) => {
+  const order = await customRequestService.cancel(req.params.id, req.user, req.body);
+  res.status(200).json({ success: true, data: { order } });
+});
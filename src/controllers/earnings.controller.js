@@ -0,0 +1,18 @@
+import { ledgerService } from '../services/ledger.service.js';
+import { payoutService } from '../services/payout.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const getMyEarnings = catchAsync(async (req, res, next) => {
+  const earnings = await ledgerService.getArtistEarnings(req.user.id, req.query);
+  res.status(200).json({ success: true, data: earnings });
+});
+
+export const getMyPayoutAccount = catchAsync(async (req, res, next) => {
+  const account = await payoutService.getAccount(req.user.id);
+  res.status(200).json({ success: true, data: { account } });
+});
+
+export const updateMyPayoutAccount = catchAsync(async (req, res, next) => {
+  const account = await payoutService.updateAccount(req.user.id, req.body);
+  res.status(200).json({ success: true, data: { account } });
+});
@@ -0,0 +1,38 @@
+import { followService } from '../services/follow.service.js';
+import { feedService } from '../services/feed.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const followArtist = catchAsync(async (req, res, next) => {
+  const result = await followService.follow(req.user.id, req.params.username);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const unfollowArtist = catchAsync(async (req, res, next) => {
+  const result = await followService.unfollow(req.user.id, req.params.username);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const getMyFollowing = catchAsync(async (req, res, next) => {
+  const result = await followService.listFollowing(req.user.id, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const getMyFeed = catchAsync(async (req, res, next) => {
+  const result = await feedService.getFeed(req.user.id, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const listAnnouncements = catchAsync(async (req, res, next) => {
+  const result = await followService.listAnnouncements(req.params.username, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const createAnnouncement = catchAsync(async (req, res, next) => {
+  const announcement = await followService.createAnnouncement(req.user.id, req.body);
+  res.status(201).json({ success: true, data: { announcement } });
+});
+
+export const deleteAnnouncement = catchAsync(async (req, res, next) => {
+  await followService.deleteAnnouncement(req.params.id, req.user);
+  res.status(200).json({ success: true, message: 'Announcement deleted' });
+});
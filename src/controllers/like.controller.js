@@ -0,0 +1,17 @@
+import { likeService } from '../services/like.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const likeProduct = catchAsync(async (req, res, next) => {
+  const result = await likeService.like(req.params.id, req.user.id);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const unlikeProduct = catchAsync(async (req, res, next) => {
+  const result = await likeService.unlike(req.params.id, req.user.id);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const getMyLikes = catchAsync(async (req, res, next) => {
+  const result = await likeService.listLiked(req.user.id, req.query);
+  res.status(200).json({ success: true, data: result });
+});
@@ -0,0 +1,55 @@
+import { milestoneService } from '../services/milestone.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const listMilestones = catchAsync(async (req, res, next) => {
+  const milestones = await milestoneService.list(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { milestones } });
+});
+
+// Runs before the multipart body is read, so only the artist can make the
+// server buffer a delivery, and only for a milestone awaiting one.
+export const checkDelivery = catchAsync(async (req, res, next) => {
+  await milestoneService.findDeliverableMilestone(req.params.id, req.params.milestoneId, req.user);
+  next();
+});
+
+export const deliverMilestone = catchAsync(async (req, res, next) => {
+  const delivery = await milestoneService.deliver(
+    req.params.id,
+    req.params.milestoneId,
+    req.user,
+    req.files,
+    req.body.note
+  );
+  res.status(201).json({ success: true, data: { delivery } });
+});
+
+export const approveMilestone = catchAsync(async (req, res, next) => {
+  const milestone = await milestoneService.approve(
+    req.params.id,
+    req.params.milestoneId,
+    req.user
+  );
+  res.status(200).json({ success: true, data: { milestone } });
+});
+
+export const requestMilestoneChanges = catchAsync(async (req, res, next) => {
+  const milestone = await milestoneService.requestChanges(
+    req.params.id,
+    req.params.milestoneId,
+    req.user,
+    req.body.comment
+  );
+  res.status(200).json({ success: true, data: { milestone } });
+});
+
+export const downloadDelivery = catchAsync(async (req, res, next) => {
+  const download = await milestoneService.getDeliveryUrl(
+    req.params.id,
+    req.params.milestoneId,
+    req.params.deliveryId,
+    req.user,
+    req.query.variant
+  );
+  res.status(200).json({ success: true, data: { download } });
+});
@@ -0,0 +1,97 @@
+import { orderService } from '../services/order.service.js';
+import { orderAttachmentService } from '../services/order-attachment.service.js';
+import { paymobService } from '../services/paymob.service.js';
+import { invoiceService } from '../services/invoice.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const listOrders = catchAsync(async (req, res, next) => {
+  const result = await orderService.list(req.user, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const getOrder = catchAsync(async (req, res, next) => {
+  const order = await orderService.getById(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const startWork = catchAsync(async (req, res, next) => {
+  const order = await orderService.startWork(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { order } });
+});
+
+export const createPayment = catchAsync(async (req, res, next) => {
+  const payment = await paymobService.createIntention(req.params.id, req.user);
+  res.status(201).json({ success: true, data: { payment } });
+});
+
+// Runs before the multipart body is read, so only the order's buyer can make
+// the server buffer an upload.
+export const checkAttachmentUpload = catchAsync(async (req, res, next) => {
+  await orderAttachmentService.findUploadableOrder(req.params.id, req.user, 1);
+  next();
+});
+
+export const uploadAttachments = catchAsync(async (req, res, next) => {
+  const attachments = await orderAttachmentService.upload(
+    req.params.id,
+    req.user,
+    req.files,
+    req.body.description
+  );
+  res.status(201).json({
+    success: true,
+    message: 'Files uploaded. They will be available once the virus scan completes.',
+    data: { attachments },
+  });
+});
+
+export const createAttachmentUploadUrl = catchAsync(async (req, res, next) => {
+  const upload = await orderAttachmentService.createUploadUrl(req.params.id, req.user, req.body);
+  res.status(201).json({ success: true, data: { upload } });
+});
+
+export const completeAttachmentUpload = catchAsync(async (req, res, next) => {
+  const attachment = await orderAttachmentService.completeUpload(
+    req.params.id,
+    req.user,
+    req.body
+  );
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded. It will be available once the virus scan completes.',
+    data: { attachment },
+  });
+});
+
+export const listAttachments = catchAsync(async (req, res, next) => {
+  const attachments = await orderAttachmentService.list(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { attachments } });
+});
+
+export const downloadAttachment = catchAsync(async (req, res, next) => {
+  const download = await orderAttachmentService.getDownloadUrl(
+    req.params.id,
+    req.params.attachmentId,
+    req.user
+  );
+  res.status(200).json({ success: true, data: { download } });
+});
+
+export const deleteAttachment = catchAsync(async (req, res, next) => {
+  await orderAttachmentService.delete(req.params.id, req.params.attachmentId, req.user);
+  res.status(200).json({ success: true, message: 'Attachment deleted' });
+});
+
+export const listInvoices = catchAsync(async (req, res, next) => {
+  const invoices = await invoiceService.list(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { invoices } });
+});
+
+export const downloadInvoice = catchAsync(async (req, res, next) => {
+  const download = await invoiceService.getDownloadUrl(
+    req.params.id,
+    req.params.invoiceId,
+    req.user
+  );
+  res.status(200).json({ success: true, data: { download } });
+});
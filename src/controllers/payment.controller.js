@@ -0,0 +1,17 @@
+import { paymobService } from '../services/paymob.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// Paymob's transaction processed callback; the HMAC arrives in the query string.
+export const paymobWebhook = catchAsync(async (req, res, next) => {
+  await paymobService.handleTransactionCallback(req.body, req.query.hmac);
+  res.status(200).json({ success: true });
+});
+
+export const fakeCheckout = catchAsync(async (req, res, next) => {
+  const payment = await paymobService.simulateCheckout(
+    req.params.reference,
+    req.user,
+    req.body.outcome
+  );
+  res.status(200).json({ success: true, data: { payment } });
+});
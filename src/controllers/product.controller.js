@@ -0,0 +1,34 @@
+import { productService } from '../services/product.service.js';
+import { productSearchService } from '../services/product-search.service.js';
+import { imageService } from '../services/image.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const listProducts = catchAsync(async (req, res, next) => {
+  const result = await productSearchService.search(req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const getProduct = catchAsync(async (req, res, next) => {
+  const product = await productService.getById(req.params.id, req.user);
+  res.status(200).json({ success: true, data: { product } });
+});
+
+export const createProduct = catchAsync(async (req, res, next) => {
+  const product = await productService.create(req.user, req.body);
+  res.status(201).json({ success: true, data: { product } });
+});
+
+export const updateProduct = catchAsync(async (req, res, next) => {
+  const product = await productService.update(req.params.id, req.user, req.body);
+  res.status(200).json({ success: true, data: { product } });
+});
+
+export const deleteProduct = catchAsync(async (req, res, next) => {
+  await productService.delete(req.params.id, req.user);
+  res.status(200).json({ success: true, message: 'Product deleted' });
+});
+
+export const uploadProductImages = catchAsync(async (req, res, next) => {
+  const images = await imageService.uploadProductImages(req.user.id, req.files);
+  res.status(201).json({ success: true, data: { images } });
+});
@@ -0,0 +1,50 @@
+import { reviewService } from '../services/review.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const listReviews = catchAsync(async (req, res, next) => {
+  const result = await reviewService.list(req.params.id, req.query);
+  res.status(200).json({ success: true, data: result });
+});
+
+export const createReview = catchAsync(async (req, res, next) => {
+  const review = await reviewService.create(req.params.id, req.user.id, req.body);
+  res.status(201).json({ success: true, data: { review } });
+});
+
+export const updateReview = catchAsync(async (req, res, next) => {
+  const review = await reviewService.update(
+    req.params.id,
+    req.params.reviewId,
+    req.user.id,
+    req.body
+  );
+  res.status(200).json({ success: true, data: { review } });
+});
+
+export const deleteReview = catchAsync(async (req, res, next) => {
+  await reviewService.delete(req.params.id, req.params.reviewId, req.user);
+  res.status(200).json({ success: true, message: 'Review deleted' });
+});
+
+export const replyToReview = catchAsync(async (req, res, next) => {
+  const review = await reviewService.reply(
+    req.params.id,
+    req.params.reviewId,
+    req.user.id,
+    req.body.reply
+  );
+  res.status(200).json({ success: true, data: { review } });
+});
+
+export const reportReview = catchAsync(async (req, res, next) => {
+  await reviewService.report(
+    req.params.id,
+    req.params.reviewId,
+    req.user.id,
+    req.body.reason
+  );
+  res.status(201).json({
+    success: true,
+    message: 'Thank you. Our team will review this report.',
+  });
+});
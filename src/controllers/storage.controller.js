@@ -0,0 +1,52 @@
+import { storageService } from '../services/storage.service.js';
+import { AppError } from '../middleware/error.middleware.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// These endpoints stand in for S3 presigned URLs when the local driver is used.
+const verifySignedRequest = (req, op) => {
+  const { driver } = storageService;
+  if (driver.name !== 'local') {
+    throw new AppError(404, 'Not found');
+  }
+
+  const params = driver.verify(req.query);
+  if (!params || params.op !== op) {
+    throw new AppError(403, 'This link is invalid or has expired');
+  }
+  return params;
+};
+
+export const downloadSigned = catchAsync(async (req, res, next) => {
+  const { key, name, type } = verifySignedRequest(req, 'get');
+
+  if (!(await storageService.head(key))) {
+    throw new AppError(404, 'File not found');
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (type) res.type(type);
+  if (name) res.attachment(name);
+  res.send(await storageService.get(key));
+});
+
+export const uploadSigned = catchAsync(async (req, res, next) => {
+  const { key, type, size } = verifySignedRequest(req, 'put');
+
+  if (req.get('Content-Type') !== type) {
+    throw new AppError(400, 'Content-Type does not match the signed upload');
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length !== Number(size)) {
+    throw new AppError(400, 'Upload size does not match the signed upload');
+  }
+
+  // An upload cannot be replaced once it arrived, however long the URL is valid.
+  try {
+    await storageService.put(key, req.body, { contentType: type, exclusive: true });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new AppError(409, 'This upload has already been received');
+    }
+    throw error;
+  }
+  res.status(200).json({ success: true, data: { key } });
+});
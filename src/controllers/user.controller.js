@@ -0,0 +1,67 @@
+import { userService } from '../services/user.service.js';
+import { dataExportService } from '../services/data-export.service.js';
+import { auditService } from '../services/audit.service.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const getMe = catchAsync(async (req, res, next) => {
+  const user = await userService.getProfile(req.user.id);
+  res.status(200).json({ success: true, data: { user } });
+});
+
+export const updateMe = catchAsync(async (req, res, next) => {
+  const user = await userService.updateProfile(req.user.id, req.body);
+  res.status(200).json({ success: true, data: { user } });
+});
+
+export const getSecurityActivity = catchAsync(async (req, res, next) => {
+  const events = await auditService.listForUser(req.user.id);
+  res.status(200).json({ success: true, data: { events } });
+});
+
+export const requestEmailChange = catchAsync(async (req, res, next) => {
+  const { newEmail, ...credentials } = req.body;
+  await userService.requestEmailChange(req.user.id, newEmail, credentials, req);
+  res.status(200).json({
+    success: true,
+    message: 'A confirmation link has been sent to your new email address.',
+  });
+});
+
+export const confirmEmailChange = catchAsync(async (req, res, next) => {
+  const token = Array.isArray(req.query.token)
+    ? req.query.token[0]
+    : req.query.token;
+  const user = await userService.confirmEmailChange(token);
+  res.status(200).json({
+    success: true,
+    message: 'Email address updated successfully',
+    data: { user },
+  });
+});
+
+export const deleteMe = catchAsync(async (req, res, next) => {
+  await userService.deleteAccount(req.user.id, req.body);
+  res.status(200).json({ success: true, message: 'Your account has been deleted' });
+});
+
+export const requestDataExport = catchAsync(async (req, res, next) => {
+  const dataExport = await dataExportService.requestExport(req.user.id, req);
+  res.status(202).json({
+    success: true,
+    message: 'Your export is being prepared. We will email you a download link when it is ready.',
+    data: { export: dataExport },
+  });
+});
+
+export const getDataExports = catchAsync(async (req, res, next) => {
+  const exports = await dataExportService.listExports(req.user.id);
+  res.status(200).json({ success: true, data: { exports } });
+});
+
+export const downloadDataExport = catchAsync(async (req, res, next) => {
+  const token = Array.isArray(req.query.token)
+    ? req.query.token[0]
+    : req.query.token;
+  const { filePath, fileName } = await dataExportService.getDownload(token);
+  res.download(filePath, fileName);
+});
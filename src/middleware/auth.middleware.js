@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { AppError } from './error.middleware.js';
+import { authService } from '../services/auth.service.js';
 
 // Cache the secret keys at startup
 const ACCESS_SECRET = process.env.JWT_ACCESS_SECRET;
@@ -11,14 +12,47 @@ export const protect = async (req, res, next) => {
   }
 
   const token = authHeader.split(' ')[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, ACCESS_SECRET);
-    req.user = { id: decoded.userId, role: decoded.role };
-    next();
+    decoded = jwt.verify(token, ACCESS_SECRET);
   } catch (error) {
     const message = error.name === 'TokenExpiredError' 
       ? 'Session expired' 
       : 'Invalid authentication token';
-    next(new AppError(401, message));
+    return next(new AppError(401, message));
+  }
+
+  let session;
+  try {
+    session = await authService.getActiveSession(decoded.jti);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!session) {
+    return next(new AppError(401, 'Session has been revoked'));
+  }
+
+  req.user = {
+    id: decoded.userId,
+    role: decoded.role,
+    jti: decoded.jti,
+    sessionId: session.familyId,
+  };
+  next();
+};
+
+// Attach the user when a valid access token is present, but never reject the request.
+// Used by public endpoints that show more to owners and admins.
+export const optionalProtect = (req, res, next) => {
+  if (!req.headers.authorization?.startsWith('Bearer ')) {
+    return next();
   }
+
+  protect(req, res, (error) => {
+    if (error) {
+      req.user = undefined;
+    }
+    next();
+  });
 };
\ No newline at end of file
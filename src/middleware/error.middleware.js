@@ -62,9 +62,12 @@ const formatError = (err) => {
  */
 const errorHandler = (err, req, res, _next) => {
   // Normalize errors: if an array of errors is provided or if the error object has an errors array.
+  // A ZodError also exposes its issues as `errors`; it is one error, not many.
   let errors = [];
   if (Array.isArray(err)) {
     errors = err;
+  } else if (err instanceof ZodError) {
+    errors.push(err);
   } else if (err.errors && Array.isArray(err.errors)) {
     errors = err.errors;
   } else {
@@ -0,0 +1,77 @@
+import multer from 'multer';
+import { env } from '../config/env.config.js';
+import { AppError } from './error.middleware.js';
+import { detectFileType } from '../utils/fileType.js';
+
+export const ALLOWED_UPLOAD_TYPES = Object.freeze([
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+]);
+
+const MAX_FILE_SIZE = env.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024;
+
+// Files are held in memory only long enough to be sniffed and written to storage.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: env.UPLOAD_MAX_FILES,
+    fields: 10,
+    fieldSize: 10 * 1024,
+  },
+  // Cheap early rejection based on the declared type; the content is checked below.
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_UPLOAD_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(415, `Unsupported file type: ${file.mimetype}`));
+    }
+    cb(null, true);
+  },
+});
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, `Files must be at most ${env.UPLOAD_MAX_FILE_SIZE_MB} MB`],
+  LIMIT_FILE_COUNT: [400, `No more than ${env.UPLOAD_MAX_FILES} files can be uploaded at once`],
+  LIMIT_UNEXPECTED_FILE: [400, 'Unexpected file field'],
+};
+
+// Translate multer's errors into AppErrors so errorHandler reports them properly.
+const receive = (field) => {
+  const handler = upload.array(field, env.UPLOAD_MAX_FILES);
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const [statusCode, message] = MULTER_ERRORS[error.code] || [400, error.message];
+        return next(new AppError(statusCode, message));
+      }
+      next(error);
+    });
+  };
+};
+
+// Reject files whose bytes do not match an allowed type, whatever they claim to be.
+const sniffFileTypes = (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError(400, 'No files were uploaded'));
+  }
+
+  for (const file of req.files) {
+    const detected = detectFileType(file.buffer);
+    if (!detected || !ALLOWED_UPLOAD_TYPES.includes(detected.mime)) {
+      return next(
+        new AppError(415, `${file.originalname} is not a supported image or PDF file`)
+      );
+    }
+    file.detectedType = detected;
+  }
+  next();
+};
+
+/**
+ * Accept a multipart upload of up to UPLOAD_MAX_FILES files in `field`,
+ * enforcing size and type limits. Virus scanning happens asynchronously
+ * after the files are stored (see FileScanService).
+ */
+export const acceptUploads = (field = 'files') => [receive(field), sniffFileTypes];
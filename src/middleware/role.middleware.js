@@ -1,4 +1,4 @@
-import { AppError } from '../utils/appError.js';
+import { AppError } from './error.middleware.js';
 
 /**
  * Middleware factory that returns a middleware function
@@ -16,4 +16,4 @@ const authorize = (...allowedRoles) => {
   };
 };
 
-module.exports = { authorize };
+export { authorize };
@@ -0,0 +1,17 @@
+/**
+ * Middleware factory that validates a part of the request against a zod schema.
+ * The parsed (coerced and stripped) data replaces the original input;
+ * validation failures are passed on to errorHandler as a ZodError.
+ */
+const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const result = schema.safeParse(req[source]);
+    if (!result.success) {
+      return next(result.error);
+    }
+    req[source] = result.data;
+    next();
+  };
+};
+
+export { validate };
@@ -1,9 +1,94 @@
 import { Router } from 'express';
+import * as artistApplicationController from '../controllers/admin/artist-application.controller.js';
+import * as auditController from '../controllers/admin/audit.controller.js';
+import * as reviewReportController from '../controllers/admin/review-report.controller.js';
+import * as refundController from '../controllers/admin/refund.controller.js';
+import * as payoutController from '../controllers/admin/payout.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { UserRole } from '../utils/constants.js';
+import {
+  listArtistApplicationsSchema,
+  reviewArtistApplicationSchema,
+} from '../services/validation/artist-application.validator.js';
+import { listAuditEventsSchema } from '../services/validation/audit.validator.js';
+import {
+  listReviewReportsSchema,
+  resolveReviewReportSchema,
+} from '../services/validation/review.validator.js';
+import {
+  createRefundSchema,
+  listRefundsSchema,
+  chargebackSchema,
+} from '../services/validation/payment.validator.js';
+import {
+  createPayoutBatchSchema,
+  listPayoutBatchesSchema,
+} from '../services/validation/payout.validator.js';
 
 const router = Router();
 
-// TODO: Add admin routes here
-// Example:
-// router.get('/', adminController.getAdminDashboard);
+// Every admin route requires an authenticated admin
+router.use(protect, authorize(UserRole.ADMIN));
+
+// Artist applications
+router.get(
+  '/artist-applications',
+  validate(listArtistApplicationsSchema, 'query'),
+  artistApplicationController.listApplications
+);
+router.patch(
+  '/artist-applications/:id',
+  validate(reviewArtistApplicationSchema),
+  artistApplicationController.reviewApplication
+);
+
+// Security audit log
+router.get(
+  '/audit-events',
+  validate(listAuditEventsSchema, 'query'),
+  auditController.listAuditEvents
+);
+
+// Review moderation
+router.get(
+  '/review-reports',
+  validate(listReviewReportsSchema, 'query'),
+  reviewReportController.listReports
+);
+router.patch(
+  '/review-reports/:id',
+  validate(resolveReviewReportSchema),
+  reviewReportController.resolveReport
+);
+
+// Refunds beyond the cancellation policy, and failed refunds to follow up
+router.get('/refunds', validate(listRefundsSchema, 'query'), refundController.listRefunds);
+router.post(
+  '/payments/:id/refunds',
+  validate(createRefundSchema),
+  refundController.createRefund
+);
+router.post(
+  '/payments/:id/chargebacks',
+  validate(chargebackSchema),
+  refundController.recordChargeback
+);
+
+// Artist payouts
+router.get(
+  '/payout-batches',
+  validate(listPayoutBatchesSchema, 'query'),
+  payoutController.listBatches
+);
+router.post(
+  '/payout-batches',
+  validate(createPayoutBatchSchema),
+  payoutController.createBatch
+);
+router.get('/payout-batches/:id', payoutController.getBatch);
+router.get('/payout-batches/:id/export', payoutController.exportBatch);
+router.post('/payout-batches/:id/paid', payoutController.markBatchPaid);
 
 export default router;
@@ -0,0 +1,85 @@
+import express from 'express';
+import * as artistController from '../controllers/artist.controller.js';
+import * as followController from '../controllers/follow.controller.js';
+import * as earningsController from '../controllers/earnings.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { UserRole } from '../utils/constants.js';
+import { artistApplicationSchema } from '../services/validation/artist-application.validator.js';
+import { updateArtistProfileSchema } from '../services/validation/artist-profile.validator.js';
+import {
+  listEarningsSchema,
+  payoutAccountSchema,
+} from '../services/validation/payout.validator.js';
+import {
+  createAnnouncementSchema,
+  listAnnouncementsSchema,
+} from '../services/validation/follow.validator.js';
+
+const router = express.Router();
+
+// Artist onboarding
+router.post(
+  '/applications',
+  protect,
+  validate(artistApplicationSchema),
+  artistController.submitApplication
+);
+router.get('/applications/me', protect, artistController.getMyApplications);
+
+// Own storefront profile
+router.get('/me/profile', protect, authorize(UserRole.ARTIST), artistController.getMyProfile);
+router.patch(
+  '/me/profile',
+  protect,
+  authorize(UserRole.ARTIST),
+  validate(updateArtistProfileSchema),
+  artistController.updateMyProfile
+);
+
+// Earnings and payouts
+router.get(
+  '/me/earnings',
+  protect,
+  authorize(UserRole.ARTIST),
+  validate(listEarningsSchema, 'query'),
+  earningsController.getMyEarnings
+);
+router.get(
+  '/me/payout-account',
+  protect,
+  authorize(UserRole.ARTIST),
+  earningsController.getMyPayoutAccount
+);
+router.put(
+  '/me/payout-account',
+  protect,
+  authorize(UserRole.ARTIST),
+  validate(payoutAccountSchema),
+  earningsController.updateMyPayoutAccount
+);
+
+// Announcements to followers
+router.post(
+  '/me/announcements',
+  protect,
+  authorize(UserRole.ARTIST),
+  validate(createAnnouncementSchema),
+  followController.createAnnouncement
+);
+router.delete('/me/announcements/:id', protect, followController.deleteAnnouncement);
+
+// Following
+router.put('/:username/follow', protect, followController.followArtist);
+router.delete('/:username/follow', protect, followController.unfollowArtist);
+router.get(
+  '/:username/announcements',
+  validate(listAnnouncementsSchema, 'query'),
+  followController.listAnnouncements
+);
+
+// Public storefront (keep last so it does not shadow the routes above)
+router.get('/:username', artistController.getStorefront);
+
+export default router;
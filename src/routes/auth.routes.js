@@ -1,6 +1,12 @@
 import express from 'express';
 import * as authController from '../controllers/auth.controller.js';
 import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import {
+  verifyTwoFactorSchema,
+  enableTwoFactorSchema,
+  twoFactorPasswordSchema,
+} from '../services/validation/auth.validator.js';
 
 const router = express.Router();
 
@@ -10,13 +16,39 @@ router.post('/register', authController.register);
 router.get('/verify-email', authController.verifyEmail);
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/reset-password', authController.resetPassword);
+router.post('/magic-link', authController.requestMagicLink);
+router.get('/magic-link/verify', authController.verifyMagicLink);
 router.post('/refresh-token', authController.refreshToken);
 router.post('/logout', authController.logout);
-// router.post('/google-login', authController.googleLogin);
+router.post('/2fa/verify', validate(verifyTwoFactorSchema), authController.verifyTwoFactor);
+router.post('/google-login', authController.googleLogin);
+router.post('/google-link', authController.linkGoogleAccount);
 router.get('/google', authController.googleAuth);
 router.get('/google/callback', authController.googleAuthCallback);
 
 // Protected route example (requires valid JWT)
 router.patch('/update-password', protect, authController.updatePassword);
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions/:id', protect, authController.revokeSession);
+router.post('/logout-all', protect, authController.logoutAll);
+router.post('/2fa/setup', protect, authController.setupTwoFactor);
+router.post(
+  '/2fa/enable',
+  protect,
+  validate(enableTwoFactorSchema),
+  authController.enableTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  protect,
+  validate(twoFactorPasswordSchema),
+  authController.disableTwoFactor
+);
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  validate(twoFactorPasswordSchema),
+  authController.regenerateRecoveryCodes
+);
 
 export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import * as collectionController from '../controllers/collection.controller.js';
+import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import {
+  createCollectionSchema,
+  updateCollectionSchema,
+  addCollectionItemSchema,
+} from '../services/validation/collection.validator.js';
+
+const router = express.Router();
+
+// Public collections are readable by anyone; private ones only by their owner
+router.get('/:id', optionalProtect, collectionController.getCollection);
+
+// Protected routes
+router.get('/', protect, collectionController.getMyCollections);
+router.post('/', protect, validate(createCollectionSchema), collectionController.createCollection);
+router.patch('/:id', protect, validate(updateCollectionSchema), collectionController.updateCollection);
+router.delete('/:id', protect, collectionController.deleteCollection);
+router.post('/:id/items', protect, validate(addCollectionItemSchema), collectionController.addItem);
+router.delete('/:id/items/:productId', protect, collectionController.removeItem);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import * as customRequestController from '../controllers/custom-request.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import {
+  createCustomRequestSchema,
+  updateCustomRequestSchema,
+  quoteSchema,
+  approveQuoteSchema,
+  requestRevisionSchema,
+  cancelSchema,
+} from '../services/validation/custom-request.validator.js';
+
+const router = express.Router();
+
+// Who may take each step is decided by the order transition table, not here.
+router.use(protect);
+
+router.post('/', validate(createCustomRequestSchema), customRequestController.createCustomRequest);
+router.patch('/:id', validate(updateCustomRequestSchema), customRequestController.updateCustomRequest);
+router.post('/:id/submit', customRequestController.submitCustomRequest);
+router.post('/:id/quote', validate(quoteSchema), customRequestController.quoteCustomRequest);
+router.post('/:id/approve', validate(approveQuoteSchema), customRequestController.approveQuote);
+router.post(
+  '/:id/request-revision',
+  validate(requestRevisionSchema),
+  customRequestController.requestRevision
+);
+router.post('/:id/cancel', validate(cancelSchema), customRequestController.cancelCustomRequest);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import * as milestoneController from '../controllers/milestone.controller.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { acceptUploads } from '../middleware/file-scanner.middleware.js';
+import {
+  deliverMilestoneSchema,
+  requestMilestoneChangesSchema,
+  downloadDeliverySchema,
+} from '../services/validation/milestone.validator.js';
+
+// Mounted under /api/orders/:id/milestones (already protected)
+const router = express.Router({ mergeParams: true });
+
+router.get('/', milestoneController.listMilestones);
+router.post(
+  '/:milestoneId/deliveries',
+  milestoneController.checkDelivery,
+  acceptUploads('file'),
+  validate(deliverMilestoneSchema),
+  milestoneController.deliverMilestone
+);
+router.post('/:milestoneId/approve', milestoneController.approveMilestone);
+router.post(
+  '/:milestoneId/request-changes',
+  validate(requestMilestoneChangesSchema),
+  milestoneController.requestMilestoneChanges
+);
+router.get(
+  '/:milestoneId/deliveries/:deliveryId/download',
+  validate(downloadDeliverySchema, 'query'),
+  milestoneController.downloadDelivery
+);
+
+export default router;
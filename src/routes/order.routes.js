@@ -0,0 +1,54 @@
+import express from 'express';
+import * as orderController from '../controllers/order.controller.js';
+import milestoneRoutes from './milestone.routes.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { acceptUploads } from '../middleware/file-scanner.middleware.js';
+import {
+  listOrdersSchema,
+  uploadAttachmentsSchema,
+  attachmentUploadUrlSchema,
+  completeAttachmentUploadSchema,
+} from '../services/validation/order.validator.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', validate(listOrdersSchema, 'query'), orderController.listOrders);
+router.get('/:id', orderController.getOrder);
+// Checkout for an approved quote; returns the gateway's checkout URL
+router.post('/:id/payment', orderController.createPayment);
+// Normally started by payment capture; admins may start work manually
+router.post('/:id/start', orderController.startWork);
+
+// Attachments (served only after a clean virus scan)
+router.post(
+  '/:id/attachments',
+  orderController.checkAttachmentUpload,
+  acceptUploads('files'),
+  validate(uploadAttachmentsSchema),
+  orderController.uploadAttachments
+);
+router.post(
+  '/:id/attachments/upload-url',
+  validate(attachmentUploadUrlSchema),
+  orderController.createAttachmentUploadUrl
+);
+router.post(
+  '/:id/attachments/complete',
+  validate(completeAttachmentUploadSchema),
+  orderController.completeAttachmentUpload
+);
+router.get('/:id/attachments', orderController.listAttachments);
+router.get('/:id/attachments/:attachmentId/download', orderController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', orderController.deleteAttachment);
+
+// Invoices and credit notes, issued on payment capture and refunds
+router.get('/:id/invoices', orderController.listInvoices);
+router.get('/:id/invoices/:invoiceId/download', orderController.downloadInvoice);
+
+// Milestone deliveries and buyer acceptance
+router.use('/:id/milestones', milestoneRoutes);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import * as paymentController from '../controllers/payment.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { fakeCheckoutSchema } from '../services/validation/payment.validator.js';
+
+const router = express.Router();
+
+// Called by Paymob; authenticated by the HMAC, not a session
+router.post('/paymob/webhook', paymentController.paymobWebhook);
+
+// Fake gateway only (PAYMENT_GATEWAY=fake): stands in for the gateway's
+// checkout page, for the buyer who started the checkout
+router.post(
+  '/fake-checkout/:reference',
+  protect,
+  validate(fakeCheckoutSchema),
+  paymentController.fakeCheckout
+);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import * as productController from '../controllers/product.controller.js';
+import * as likeController from '../controllers/like.controller.js';
+import reviewRoutes from './review.routes.js';
+import { protect, optionalProtect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { acceptUploads } from '../middleware/file-scanner.middleware.js';
+import { UserRole } from '../utils/constants.js';
+import {
+  createProductSchema,
+  updateProductSchema,
+  listProductsSchema,
+} from '../services/validation/product.validator.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', validate(listProductsSchema, 'query'), productController.listProducts);
+router.get('/:id', optionalProtect, productController.getProduct);
+
+// Artist and admin routes (ownership is checked in the service)
+router.post(
+  '/images',
+  protect,
+  authorize(UserRole.ARTIST, UserRole.ADMIN),
+  acceptUploads('images'),
+  productController.uploadProductImages
+);
+router.post(
+  '/',
+  protect,
+  authorize(UserRole.ARTIST, UserRole.ADMIN),
+  validate(createProductSchema),
+  productController.createProduct
+);
+router.patch(
+  '/:id',
+  protect,
+  authorize(UserRole.ARTIST, UserRole.ADMIN),
+  validate(updateProductSchema),
+  productController.updateProduct
+);
+router.delete(
+  '/:id',
+  protect,
+  authorize(UserRole.ARTIST, UserRole.ADMIN),
+  productController.deleteProduct
+);
+
+// Likes (idempotent, safe to repeat)
+router.put('/:id/like', protect, likeController.likeProduct);
+router.delete('/:id/like', protect, likeController.unlikeProduct);
+
+// Reviews
+router.use('/:id/reviews', reviewRoutes);
+
+export default router;
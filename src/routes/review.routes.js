@@ -0,0 +1,34 @@
+import express from 'express';
+import * as reviewController from '../controllers/review.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { authorize } from '../middleware/role.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import { UserRole } from '../utils/constants.js';
+import {
+  createReviewSchema,
+  updateReviewSchema,
+  replyReviewSchema,
+  reportReviewSchema,
+  listReviewsSchema,
+} from '../services/validation/review.validator.js';
+
+// Mounted under /api/products/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Public routes
+router.get('/', validate(listReviewsSchema, 'query'), reviewController.listReviews);
+
+// Protected routes
+router.post('/', protect, validate(createReviewSchema), reviewController.createReview);
+router.patch('/:reviewId', protect, validate(updateReviewSchema), reviewController.updateReview);
+router.delete('/:reviewId', protect, reviewController.deleteReview);
+router.post(
+  '/:reviewId/reply',
+  protect,
+  authorize(UserRole.ARTIST, UserRole.ADMIN),
+  validate(replyReviewSchema),
+  reviewController.replyToReview
+);
+router.post('/:reviewId/report', protect, validate(reportReviewSchema), reviewController.reportReview);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import path from 'path';
+import * as storageController from '../controllers/storage.controller.js';
+import { env } from '../config/env.config.js';
+
+const router = express.Router();
+
+// Local storage driver only; S3 serves these itself.
+router.use('/public', express.static(path.resolve(env.STORAGE_LOCAL_DIR, 'public')));
+router.get('/signed', storageController.downloadSigned);
+router.put(
+  '/signed',
+  express.raw({ type: () => true, limit: `${env.UPLOAD_MAX_FILE_SIZE_MB}mb` }),
+  storageController.uploadSigned
+);
+
+export default router;
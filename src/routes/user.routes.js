@@ -0,0 +1,38 @@
+import express from 'express';
+import * as userController from '../controllers/user.controller.js';
+import * as likeController from '../controllers/like.controller.js';
+import * as followController from '../controllers/follow.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validator.middleware.js';
+import {
+  updateProfileSchema,
+  changeEmailSchema,
+  deleteAccountSchema,
+} from '../services/validation/user.validator.js';
+import { listLikesSchema } from '../services/validation/like.validator.js';
+import { listFollowingSchema, feedSchema } from '../services/validation/follow.validator.js';
+
+const router = express.Router();
+
+// Public: token links opened from an email
+router.get('/me/email/confirm', userController.confirmEmailChange);
+router.get('/me/export/download', userController.downloadDataExport);
+
+// Protected routes
+router.get('/me', protect, userController.getMe);
+router.patch('/me', protect, validate(updateProfileSchema), userController.updateMe);
+router.get('/me/security-activity', protect, userController.getSecurityActivity);
+router.post('/me/email', protect, validate(changeEmailSchema), userController.requestEmailChange);
+router.post('/me/export', protect, userController.requestDataExport);
+router.get('/me/exports', protect, userController.getDataExports);
+router.get('/me/likes', protect, validate(listLikesSchema, 'query'), likeController.getMyLikes);
+router.get(
+  '/me/following',
+  protect,
+  validate(listFollowingSchema, 'query'),
+  followController.getMyFollowing
+);
+router.get('/me/feed', protect, validate(feedSchema, 'query'), followController.getMyFeed);
+router.delete('/me', protect, validate(deleteAccountSchema), userController.deleteMe);
+
+export default router;
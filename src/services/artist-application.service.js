@@ -0,0 +1,132 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { notificationService } from './notification.service.js';
+import { UserRole, ArtistApplicationStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+class ArtistApplicationService {
+  // Submit an application to become an artist.
+  async submit(userId, { bio, portfolioUrl, sampleLinks }) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true },
+    });
+
+    if (!user) {
+      throw new AppError(404, 'User not found');
+    }
+
+    if (user.role !== UserRole.USER) {
+      throw new AppError(400, 'Only customer accounts can apply to become artists');
+    }
+
+    const pending = await prisma.artistApplication.findFirst({
+      where: { userId, status: ArtistApplicationStatus.PENDING },
+      select: { id: true },
+    });
+
+    if (pending) {
+      throw new AppError(409, 'You already have an application under review');
+    }
+
+    const application = await prisma.artistApplication.create({
+      data: { userId, bio, portfolioUrl, sampleLinks },
+    });
+
+    logger.info(`Artist application ${application.id} submitted by user: ${userId}`);
+    return application;
+  }
+
+  // The user's own applications, newest first.
+  async listForUser(userId) {
+    return prisma.artistApplication.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // Admin listing, optionally filtered by status.
+  async list({ status, page, limit }) {
+    const where = status ? { status } : {};
+
+    const [applications, total] = await prisma.$transaction([
+      prisma.artistApplication.findMany({
+        where,
+        include: {
+          user: { select: { id: true, email: true, username: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.artistApplication.count({ where }),
+    ]);
+
+    return { applications, total, page, limit };
+  }
+
+  // Approve or reject a pending application. Approval promotes the user to ARTIST.
+  async review(applicationId, reviewerId, { decision, reason }) {
+    const application = await prisma.artistApplication.findUnique({
+      where: { id: applicationId },
+      include: { user: { select: { id: true, email: true, username: true } } },
+    });
+
+    if (!application) {
+      throw new AppError(404, 'Application not found');
+    }
+
+    const approved = decision === ArtistApplicationStatus.APPROVED;
+
+    const reviewed = await prisma.$transaction(async (tx) => {
+      // Guard against two admins reviewing the same application at once.
+      const { count } = await tx.artistApplication.updateMany({
+        where: { id: applicationId, status: ArtistApplicationStatus.PENDING },
+        data: {
+          status: decision,
+          reviewReason: reason || null,
+          reviewedById: reviewerId,
+          reviewedAt: new Date(),
+        },
+      });
+
+      if (count === 0) {
+        throw new AppError(409, 'Application has already been reviewed');
+      }
+
+      if (approved) {
+        await tx.user.update({
+          where: { id: application.userId },
+          data: { role: UserRole.ARTIST },
+        });
+        // Seed the storefront with the application bio; never overwrite an existing profile.
+        await tx.artistProfile.upsert({
+          where: { userId: application.userId },
+          create: { userId: application.userId, bio: application.bio },
+          update: {},
+        });
+      }
+
+      return tx.artistApplication.findUnique({ where: { id: applicationId } });
+    });
+
+    logger.info(
+      `Artist application ${applicationId} ${decision.toLowerCase()} by admin: ${reviewerId}`
+    );
+
+    // The decision is already committed, so a mail failure must not fail the request.
+    try {
+      await notificationService.sendArtistApplicationNotification(application.user.email, {
+        username: application.user.username,
+        approved,
+        reason,
+      });
+    } catch (error) {
+      logger.error(`Failed to notify user about artist application ${applicationId}:`, error);
+    }
+
+    return reviewed;
+  }
+}
+
+export const artistApplicationService = new ArtistApplicationService();
@@ -0,0 +1,153 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { UserRole, OrderStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const STOREFRONT_PRODUCT_LIMIT = 24;
+
+// Everything here is public. Never add credentials, contact details or lockout state.
+const PUBLIC_ARTIST_SELECT = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  artistRatingAverage: true,
+  artistRatingCount: true,
+  createdAt: true,
+  artistProfile: {
+    select: {
+      displayName: true,
+      bio: true,
+      avatarUrl: true,
+      bannerUrl: true,
+      socialLinks: true,
+      commissionTypes: true,
+      turnaroundMinDays: true,
+      turnaroundMaxDays: true,
+    },
+  },
+};
+
+const PROFILE_SELECT = PUBLIC_ARTIST_SELECT.artistProfile.select;
+
+class ArtistProfileService {
+  async getStorefront(username) {
+    const artist = await prisma.user.findFirst({
+      where: { username, role: UserRole.ARTIST, deletedAt: null },
+      select: PUBLIC_ARTIST_SELECT,
+    });
+
+    if (!artist) {
+      throw new AppError(404, 'Artist not found');
+    }
+
+    const productWhere = { artistId: artist.id, isActive: true };
+    const [products, productCount, completedOrders, followerCount] = await prisma.$transaction([
+      prisma.product.findMany({
+        where: productWhere,
+        select: {
+          id: true,
+          title: true,
+          basePrice: true,
+          images: true,
+          likeCount: true,
+          ratingAverage: true,
+          ratingCount: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+        take: STOREFRONT_PRODUCT_LIMIT,
+      }),
+      prisma.product.count({ where: productWhere }),
+      prisma.order.count({
+        where: { artistId: artist.id, status: OrderStatus.COMPLETED },
+      }),
+      prisma.follow.count({ where: { artistId: artist.id } }),
+    ]);
+
+    return {
+      artist: this.toPublicProfile(artist),
+      stats: {
+        rating: { average: artist.artistRatingAverage, count: artist.artistRatingCount },
+        completedOrders,
+        productCount,
+        followerCount,
+      },
+      products,
+    };
+  }
+
+  async getOwnProfile(userId) {
+    const profile = await prisma.artistProfile.findUnique({
+      where: { userId },
+      select: PROFILE_SELECT,
+    });
+    return profile || this.emptyProfile();
+  }
+
+  async updateOwnProfile(userId, updates) {
+    const current = await this.getOwnProfile(userId);
+    const minDays = updates.turnaroundMinDays !== undefined
+      ? updates.turnaroundMinDays
+      : current.turnaroundMinDays;
+    const maxDays = updates.turnaroundMaxDays !== undefined
+      ? updates.turnaroundMaxDays
+      : current.turnaroundMaxDays;
+
+    if (minDays != null && maxDays != null && minDays > maxDays) {
+      throw new AppError(400, 'Minimum turnaround cannot exceed maximum turnaround');
+    }
+
+    const data = {
+      ...updates,
+      ...(updates.socialLinks === null && { socialLinks: Prisma.JsonNull }),
+    };
+
+    const profile = await prisma.artistProfile.upsert({
+      where: { userId },
+      create: { userId, ...data },
+      update: data,
+      select: PROFILE_SELECT,
+    });
+
+    logger.info(`Artist profile updated for user: ${userId}`);
+    return profile;
+  }
+
+  toPublicProfile({ artistProfile, firstName, lastName, ...artist }) {
+    const profile = artistProfile || this.emptyProfile();
+    const fullName = [firstName, lastName].filter(Boolean).join(' ');
+
+    return {
+      id: artist.id,
+      username: artist.username,
+      displayName: profile.displayName || fullName || artist.username,
+      bio: profile.bio,
+      avatarUrl: profile.avatarUrl,
+      bannerUrl: profile.bannerUrl,
+      socialLinks: profile.socialLinks || {},
+      commissionTypes: profile.commissionTypes,
+      turnaround: {
+        minDays: profile.turnaroundMinDays,
+        maxDays: profile.turnaroundMaxDays,
+      },
+      memberSince: artist.createdAt,
+    };
+  }
+
+  emptyProfile() {
+    return {
+      displayName: null,
+      bio: null,
+      avatarUrl: null,
+      bannerUrl: null,
+      socialLinks: null,
+      commissionTypes: [],
+      turnaroundMinDays: null,
+      turnaroundMaxDays: null,
+    };
+  }
+}
+
+export const artistProfileService = new ArtistProfileService();
@@ -0,0 +1,67 @@
+import { prisma } from '../prisma/prisma.client.js';
+import logger from '../middleware/logger.middleware.js';
+
+class AuditService {
+  // Persist a security event. Auditing must never break the flow being audited,
+  // so failures are logged and swallowed.
+  async record(type, { userId = null, ip = null, userAgent = null, metadata } = {}) {
+    try {
+      await prisma.auditEvent.create({
+        data: {
+          type,
+          userId,
+          ipAddress: ip,
+          userAgent,
+          metadata,
+        },
+      });
+    } catch (error) {
+      logger.error(`Failed to record audit event ${type}:`, error);
+    }
+  }
+
+  // Admin search by user, type and date range.
+  async list({ userId, type, from, to, page, limit }) {
+    const where = {
+      ...(userId && { userId }),
+      ...(type && { type }),
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to }),
+        },
+      }),
+    };
+
+    const [events, total] = await prisma.$transaction([
+      prisma.auditEvent.findMany({
+        where,
+        include: { user: { select: { id: true, email: true, username: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.auditEvent.count({ where }),
+    ]);
+
+    return { events, total, page, limit };
+  }
+
+  // A user's own recent security activity.
+  async listForUser(userId, limit = 50) {
+    return prisma.auditEvent.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        type: true,
+        ipAddress: true,
+        userAgent: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  }
+}
+
+export const auditService = new AuditService();
@@ -3,13 +3,36 @@ import jwt from 'jsonwebtoken';
 import { prisma } from '../prisma/prisma.client.js';
 import { AppError } from '../middleware/error.middleware.js';
 import { notificationService } from './notification.service.js';
+import { twoFactorService } from './two-factor.service.js';
+import { auditService } from './audit.service.js';
+import { passwordPolicyService } from './password-policy.service.js';
 import crypto from 'crypto';
-import { UserRole } from '../utils/constants.js';
+import { UserRole, AuditEventType } from '../utils/constants.js';
+import getClientInfo from '../utils/clientInfo.js';
 import logger from '../middleware/logger.middleware.js';
 import { OAuth2Client } from 'google-auth-library';
+import { env } from '../config/env.config.js';
 
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
 const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+const TWO_FACTOR_CHALLENGE_AUDIENCE = 'two-factor-challenge';
+const GOOGLE_LINK_EXPIRY = '10m';
+const GOOGLE_LINK_AUDIENCE = 'google-link';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+// How recent a Google sign-in must be to stand in for a password.
+const GOOGLE_REAUTH_MAX_AGE = 5 * 60 * 1000;
+
+// Web and native mobile apps each have their own OAuth client ID.
+const GOOGLE_AUDIENCES = [
+  env.GOOGLE_CLIENT_ID,
+  ...(env.GOOGLE_MOBILE_CLIENT_IDS || '').split(','),
+]
+  .map((id) => id?.trim())
+  .filter(Boolean);
+
+const googleClient = new OAuth2Client(env.GOOGLE_CLIENT_ID);
 
 function parseExpiration(expiration) {
   const units = {
@@ -30,11 +53,17 @@ function parseExpiration(expiration) {
   return value * units[unit];
 }
 
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
 class AuthService {
   // Register a new user
   async register(email, username, password, req) {
     logger.info(`Attempting registration for email: ${email}`);
 
+    passwordPolicyService.assertValid(password, { username, email });
+
     // Check if a user with the same email or username exists.
     const existingUser = await prisma.user.findFirst({
       where: {
@@ -78,7 +107,8 @@ class AuthService {
   }
 
   // Login using email/username and password.
-  async login(identifier, password, ip) {
+  async login(identifier, password, client = {}) {
+    const { ip } = client;
     if (!identifier || !password) {
       logger.warn(`Login attempt with missing credentials from IP: ${ip}`);
       throw new AppError(400, 'Both identifier and password are required');
@@ -99,27 +129,119 @@ class AuthService {
         role: true,
         email: true,
         username: true,
+        twoFactorEnabled: true,
       },
     });
 
     try {
       this.validateLoginAttempt(user, ip);
       await this.verifyPassword(user.password, password);
-      await this.resetFailedAttempts(user.id);
 
-      const tokens = await this.generateTokens(user.id, user.role);
+      const result = await this.completeLogin(user, client);
       logger.info(`Login successful for user: ${user.email}`);
-      return tokens;
+      return result;
     } catch (error) {
+      await auditService.record(AuditEventType.LOGIN_FAILURE, {
+        userId: user?.id,
+        ...client,
+        metadata: { identifier, reason: error.message },
+      });
       if (user) {
-        await this.handleFailedLoginAttempt(user.id, user.failedLoginAttempts);
+        await this.handleFailedLoginAttempt(user.id, user.failedLoginAttempts, client);
       }
       throw error;
     }
   }
 
+  // Finish a first-factor login: issue a 2FA challenge when enabled, else the token pair.
+  // Failed attempts are only reset once every factor has passed.
+  async completeLogin(user, client = {}, method = 'password') {
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for user: ${user.id}`);
+      const challengeToken = jwt.sign(
+        { userId: user.id },
+        process.env.JWT_ACCESS_SECRET,
+        {
+          expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY,
+          audience: TWO_FACTOR_CHALLENGE_AUDIENCE,
+        }
+      );
+      return { twoFactorRequired: true, challengeToken };
+    }
+
+    await this.resetFailedAttempts(user.id);
+    await auditService.record(AuditEventType.LOGIN_SUCCESS, {
+      userId: user.id,
+      ...client,
+      metadata: { method },
+    });
+    return this.generateTokens(user.id, user.role, client);
+  }
+
+  // Second login step: exchange a challenge token and a TOTP or recovery code for tokens.
+  async verifyTwoFactorLogin(challengeToken, code, client = {}) {
+    const { ip } = client;
+    if (!challengeToken || !code) {
+      throw new AppError(400, 'Challenge token and code are required');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_ACCESS_SECRET, {
+        audience: TWO_FACTOR_CHALLENGE_AUDIENCE,
+      });
+    } catch (error) {
+      logger.warn(`Invalid two-factor challenge from IP: ${ip}`);
+      throw new AppError(401, 'Invalid or expired two-factor challenge');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: {
+        id: true,
+        failedLoginAttempts: true,
+        accountLockedUntil: true,
+        isVerified: true,
+        role: true,
+        email: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+      },
+    });
+
+    try {
+      this.validateLoginAttempt(user, ip);
+
+      const isValid = await twoFactorService.verifyLoginCode(user, code);
+      if (!isValid) {
+        logger.warn(`Invalid two-factor code for user ${user.id} from IP: ${ip}`);
+        throw new AppError(401, 'Invalid two-factor code');
+      }
+    } catch (error) {
+      await auditService.record(AuditEventType.LOGIN_FAILURE, {
+        userId: user?.id,
+        ...client,
+        metadata: { method: 'two-factor', reason: error.message },
+      });
+      if (user) {
+        await this.handleFailedLoginAttempt(user.id, user.failedLoginAttempts, client);
+      }
+      throw error;
+    }
+
+    await this.resetFailedAttempts(user.id);
+    await auditService.record(AuditEventType.LOGIN_SUCCESS, {
+      userId: user.id,
+      ...client,
+      metadata: { method: 'two-factor' },
+    });
+    const tokens = await this.generateTokens(user.id, user.role, client);
+    logger.info(`Two-factor login successful for user: ${user.email}`);
+    return tokens;
+  }
+
   // Verify the email using the token from the URL.
-  async verifyEmail(token) {
+  async verifyEmail(token, client = {}) {
     if (!token) {
       logger.warn('Email verification attempt without token');
       throw new AppError(400, 'Verification token is required');
@@ -157,7 +279,11 @@ class AuthService {
     });
 
     logger.info(`Email verified successfully for user: ${user.email}`);
-    const tokens = await this.generateTokens(updatedUser.id, updatedUser.role);
+    await auditService.record(AuditEventType.EMAIL_VERIFIED, {
+      userId: user.id,
+      ...client,
+    });
+    const tokens = await this.generateTokens(updatedUser.id, updatedUser.role, client);
     return {
       user: {
         id: updatedUser.id,
@@ -169,34 +295,179 @@ class AuthService {
     };
   }
 
-  // Logout by blacklisting the refresh token.
-  async logout(refreshToken) {
-    try {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-      logger.info(`Logged out token with jti: ${decoded.jti}`);
-    } catch (error) {
-      logger.error('Logout failed:', error);
+  // Logout by revoking the refresh token's whole family.
+  async logout(refreshToken, client = {}) {
+    const storedToken = await this.findStoredRefreshToken(refreshToken);
+
+    await this.revokeTokenFamily(storedToken.familyId);
+    await auditService.record(AuditEventType.TOKEN_REVOKED, {
+      userId: storedToken.userId,
+      ...client,
+      metadata: { reason: 'logout', sessionId: storedToken.familyId },
+    });
+    logger.info(`Logged out token with jti: ${storedToken.jti}`);
+  }
+
+  // Rotate the refresh token and issue a new token pair in the same family.
+  async refreshToken(refreshToken, client = {}) {
+    const storedToken = await this.findStoredRefreshToken(refreshToken);
+
+    if (storedToken.revokedAt) {
+      logger.warn(`Revoked refresh token presented for user: ${storedToken.userId}`);
       throw new AppError(401, 'Invalid refresh token');
     }
-  }
 
-  // Refresh the access token.
-  async refreshToken(refreshToken) {
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (error) {
-      logger.error('Refresh token verification failed:', error);
+    // Only one caller may consume a given token; a second use is a replay.
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { id: storedToken.id, consumedAt: null, revokedAt: null },
+      data: { consumedAt: new Date() },
+    });
+
+    if (count === 0) {
+      logger.warn(
+        `Refresh token reuse detected for user: ${storedToken.userId}, revoking family ${storedToken.familyId}`
+      );
+      await this.revokeTokenFamily(storedToken.familyId);
+      await auditService.record(AuditEventType.TOKEN_REUSE_DETECTED, {
+        userId: storedToken.userId,
+        ...client,
+        metadata: { sessionId: storedToken.familyId },
+      });
+      throw new AppError(401, 'Invalid refresh token');
+    }
+
+    // Read the role fresh so that role changes apply on the next rotation.
+    const user = await prisma.user.findUnique({
+      where: { id: storedToken.userId },
+      select: { id: true, role: true },
+    });
+
+    if (!user) {
+      await this.revokeTokenFamily(storedToken.familyId);
       throw new AppError(401, 'Invalid refresh token');
     }
-    logger.info(`Refreshing tokens for user: ${decoded.userId}`);
-    return this.generateTokens(decoded.userId, decoded.role);
+
+    logger.info(`Refreshing tokens for user: ${user.id}`);
+    await auditService.record(AuditEventType.TOKEN_REFRESHED, {
+      userId: user.id,
+      ...client,
+      metadata: { sessionId: storedToken.familyId },
+    });
+    return this.generateTokens(user.id, user.role, {
+      ...client,
+      familyId: storedToken.familyId,
+    });
+  }
+
+  // Load the session behind an access token, or null if it has been revoked.
+  // The last-used time is refreshed at most once per SESSION_TOUCH_INTERVAL.
+  async getActiveSession(jti) {
+    if (!jti) return null;
+
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { jti },
+      select: { id: true, familyId: true, revokedAt: true, lastUsedAt: true },
+    });
+
+    if (!storedToken || storedToken.revokedAt) {
+      return null;
+    }
+
+    if (Date.now() - storedToken.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+      await prisma.refreshToken.update({
+        where: { id: storedToken.id },
+        data: { lastUsedAt: new Date() },
+      });
+    }
+
+    return storedToken;
+  }
+
+  // List the user's signed-in devices, one entry per token family.
+  async listSessions(userId, currentSessionId) {
+    const activeTokens = await prisma.refreshToken.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        consumedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        familyId: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        expiresAt: true,
+      },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+    if (activeTokens.length === 0) {
+      return [];
+    }
+
+    // A session started when the first token of its family was issued.
+    const startTimes = await prisma.refreshToken.groupBy({
+      by: ['familyId'],
+      where: { familyId: { in: activeTokens.map((t) => t.familyId) } },
+      _min: { createdAt: true },
+    });
+    const startedAt = new Map(
+      startTimes.map((group) => [group.familyId, group._min.createdAt])
+    );
+
+    return activeTokens.map((token) => ({
+      id: token.familyId,
+      userAgent: token.userAgent,
+      ipAddress: token.ipAddress,
+      createdAt: startedAt.get(token.familyId),
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: token.familyId === currentSessionId,
+    }));
+  }
+
+  // Sign out a single device belonging to the user.
+  async revokeSession(userId, sessionId, client = {}) {
+    const session = await prisma.refreshToken.findFirst({
+      where: { userId, familyId: sessionId, revokedAt: null },
+      select: { id: true },
+    });
+
+    if (!session) {
+      logger.warn(`Session ${sessionId} not found for user: ${userId}`);
+      throw new AppError(404, 'Session not found');
+    }
+
+    await this.revokeTokenFamily(sessionId);
+    await auditService.record(AuditEventType.TOKEN_REVOKED, {
+      userId,
+      ...client,
+      metadata: { reason: 'session-revoked', sessionId },
+    });
+    logger.info(`Session ${sessionId} revoked for user: ${userId}`);
+  }
+
+  // Sign out every device belonging to the user.
+  async revokeAllSessions(userId, client = {}) {
+    const { count } = await this.revokeUserTokens(userId);
+    await auditService.record(AuditEventType.TOKEN_REVOKED, {
+      userId,
+      ...client,
+      metadata: { reason: 'logout-all', count },
+    });
+    logger.info(`Revoked ${count} token(s) for user: ${userId}`);
   }
 
   // Initiate the forgot password process.
   async forgotPassword(email, req) {
     logger.info(`Password reset requested for email: ${email}`);
     const user = await prisma.user.findUnique({ where: { email } });
+    await auditService.record(AuditEventType.PASSWORD_RESET_REQUESTED, {
+      userId: user?.id,
+      ...getClientInfo(req),
+      metadata: { email },
+    });
     if (!user) {
       logger.warn(`Password reset requested for non-existing email: ${email}`);
       return;
@@ -219,8 +490,90 @@ class AuthService {
     logger.info(`Password reset token sent to email: ${email}`);
   }
 
+  // Email a single-use, short-lived login link.
+  // Like forgotPassword, the response never reveals whether the email exists.
+  async requestMagicLink(email, req) {
+    logger.info(`Magic link requested for email: ${email}`);
+    const user = await prisma.user.findFirst({ where: { email, deletedAt: null } });
+    await auditService.record(AuditEventType.MAGIC_LINK_REQUESTED, {
+      userId: user?.id,
+      ...getClientInfo(req),
+      metadata: { email },
+    });
+    if (!user) {
+      logger.warn(`Magic link requested for non-existing email: ${email}`);
+      return;
+    }
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const hashedToken = crypto.createHash('sha256').update(rawToken).digest('hex');
+    const expires = new Date(Date.now() + 15 * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        magicLinkToken: hashedToken,
+        magicLinkExpires: expires,
+      },
+    });
+
+    await notificationService.sendMagicLinkNotification(email, rawToken, req);
+    logger.info(`Magic link sent to email: ${email}`);
+  }
+
+  // Exchange a magic link token for the normal token pair.
+  async verifyMagicLink(rawToken, client = {}) {
+    const { ip } = client;
+    if (!rawToken) {
+      throw new AppError(400, 'Login token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(rawToken).digest('hex');
+    const user = await prisma.user.findFirst({
+      where: {
+        magicLinkToken: hashedToken,
+        magicLinkExpires: { gt: new Date() },
+      },
+    });
+
+    if (!user) {
+      logger.warn(`Invalid or expired magic link from IP: ${ip}`);
+      throw new AppError(400, 'Invalid or expired login link');
+    }
+
+    // Consume the token atomically so a link can only be used once.
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, magicLinkToken: hashedToken },
+      data: { magicLinkToken: null, magicLinkExpires: null },
+    });
+
+    if (count === 0) {
+      throw new AppError(400, 'Invalid or expired login link');
+    }
+
+    if (user.accountLockedUntil?.getTime() > Date.now()) {
+      logger.warn(`Magic link login on locked account (${user.email}) from IP: ${ip}`);
+      throw new AppError(403, 'Account temporarily locked. Try again later');
+    }
+
+    // Opening the link proves ownership of the address.
+    if (!user.isVerified) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          isVerified: true,
+          verificationToken: null,
+          verificationTokenExpires: null,
+        },
+      });
+    }
+
+    logger.info(`Magic link login for user: ${user.email}`);
+    return this.completeLogin(user, client, 'magic-link');
+  }
+
   // Complete the password reset process.
-  async resetPassword(rawToken, newPassword) {
+  async resetPassword(rawToken, newPassword, client = {}) {
     logger.info('Resetting password using token');
     if (!rawToken) {
       throw new AppError(400, 'Invalid reset token');
@@ -239,6 +592,11 @@ class AuthService {
       throw new AppError(400, 'Invalid or expired token');
     }
 
+    passwordPolicyService.assertValid(
+      newPassword,
+      { username: user.username, email: user.email },
+      ['newPassword']
+    );
     const hashedPassword = await bcrypt.hash(newPassword, 12);
 
     await prisma.$transaction([
@@ -250,18 +608,22 @@ class AuthService {
           resetPasswordExpire: null,
         },
       }),
-      prisma.refreshToken.deleteMany({ where: { userId: user.id } }),
+      this.revokeUserTokens(user.id),
     ]);
 
+    await auditService.record(AuditEventType.PASSWORD_RESET_COMPLETED, {
+      userId: user.id,
+      ...client,
+    });
     logger.info(`Password reset successful for user: ${user.email}`);
   }
 
   // Update the user's password.
-  async updatePassword(userId, currentPassword, newPassword) {
+  async updatePassword(userId, currentPassword, newPassword, client = {}) {
     logger.info(`Updating password for user: ${userId}`);
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { password: true },
+      select: { password: true, username: true, email: true },
     });
 
     if (!user) {
@@ -270,6 +632,11 @@ class AuthService {
     }
 
     await this.verifyPassword(user.password, currentPassword);
+    passwordPolicyService.assertValid(
+      newPassword,
+      { username: user.username, email: user.email },
+      ['newPassword']
+    );
     const hashedPassword = await bcrypt.hash(newPassword, 12);
 
     await prisma.$transaction([
@@ -277,59 +644,214 @@ class AuthService {
         where: { id: userId },
         data: { password: hashedPassword },
       }),
-      prisma.refreshToken.deleteMany({ where: { userId } }),
+      this.revokeUserTokens(userId),
     ]);
 
+    await auditService.record(AuditEventType.PASSWORD_CHANGED, { userId, ...client });
     logger.info(`Password updated successfully for user: ${userId}`);
   }
 
-  async handleGoogleLogin(profile) {
-    const { id: googleId, displayName, emails, name } = profile;
-    const email = emails[0].value;
-    const firstName = name?.givenName || '';
-    const lastName = name?.familyName || '';
-  
-    let user = await prisma.user.findUnique({ where: { email } });
-  
-    if (user) {
-      if (!user.isGoogleUser) {
-        user = await prisma.user.update({
-          where: { id: user.id },
-          data: {
-            googleId,
-            isGoogleUser: true,
-            isVerified: true,
-          },
-        });
-      }
-    } else {
-      const username = email.split('@')[0];
-      const randomPassword = crypto.randomBytes(16).toString('hex');
-      const hashedPassword = await hashPassword(randomPassword);
-  
-      user = await prisma.user.create({
-        data: {
-          email,
-          username,
-          firstName,
-          lastName,
-          password: hashedPassword,
-          googleId,
-          isGoogleUser: true,
-          isVerified: true,
-          role: UserRole.USER,
-        },
+  // Sign in with a Google ID token obtained natively by a mobile client.
+  async googleLogin(idToken, client = {}) {
+    const payload = await this.verifyGoogleIdToken(idToken);
+
+    const user = await this.findOrCreateGoogleUser({
+      googleId: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified === true,
+      firstName: payload.given_name || '',
+      lastName: payload.family_name || '',
+    });
+
+    logger.info(`Google login successful for user: ${user.email}`);
+    return this.completeLogin(user, client, 'google');
+  }
+
+  async verifyGoogleIdToken(idToken) {
+    if (!idToken) {
+      throw new AppError(400, 'Google ID token is required');
+    }
+
+    let payload;
+    try {
+      const ticket = await googleClient.verifyIdToken({
+        idToken,
+        audience: GOOGLE_AUDIENCES,
       });
+      payload = ticket.getPayload();
+    } catch (error) {
+      logger.warn(`Google ID token verification failed: ${error.message}`);
+      throw new AppError(401, 'Invalid Google ID token');
     }
-  
+
+    if (!GOOGLE_ISSUERS.includes(payload.iss)) {
+      logger.warn(`Google ID token with unexpected issuer: ${payload.iss}`);
+      throw new AppError(401, 'Invalid Google ID token');
+    }
+    return payload;
+  }
+
+  // Confirm the caller's identity before a sensitive account change. Accounts
+  // created through Google never had a password they know, so a Google ID
+  // token for the linked identity, issued in the last few minutes, also counts.
+  async reauthenticate(user, { password, googleIdToken }) {
+    if (password) {
+      return this.verifyPassword(user.password, password);
+    }
+
+    if (!googleIdToken || !user.googleId) {
+      throw new AppError(400, 'Confirm with your password or a fresh Google sign-in');
+    }
+
+    const payload = await this.verifyGoogleIdToken(googleIdToken);
+    if (payload.sub !== user.googleId) {
+      logger.warn(`Google re-authentication with another identity for user: ${user.id}`);
+      throw new AppError(401, 'Invalid credentials');
+    }
+    if (Date.now() - payload.iat * 1000 > GOOGLE_REAUTH_MAX_AGE) {
+      throw new AppError(401, 'Please sign in with Google again to confirm');
+    }
+  }
+
+  // Passport callback for the redirect-based OAuth flow.
+  async handleGoogleLogin(profile) {
+    const { id: googleId, emails, name } = profile;
+    const primaryEmail = emails?.[0];
+
+    return this.findOrCreateGoogleUser({
+      googleId,
+      email: primaryEmail?.value,
+      emailVerified: primaryEmail?.verified === true || primaryEmail?.verified === 'true',
+      firstName: name?.givenName || '',
+      lastName: name?.familyName || '',
+    });
+  }
+
+  // Resolve a verified Google identity to a user.
+  // An existing password account is never linked silently: the caller gets a
+  // 409 with a short-lived link token to confirm with the account password.
+  async findOrCreateGoogleUser({ googleId, email, emailVerified, firstName, lastName }) {
+    if (!email || !emailVerified) {
+      logger.warn(`Google login rejected for unverified email: ${email}`);
+      throw new AppError(401, 'Google account email is not verified');
+    }
+
+    const linkedUser = await prisma.user.findUnique({ where: { googleId } });
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser) {
+      logger.warn(`Google identity requires linking confirmation for: ${email}`);
+      const linkToken = jwt.sign(
+        { userId: existingUser.id, googleId },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: GOOGLE_LINK_EXPIRY, audience: GOOGLE_LINK_AUDIENCE }
+      );
+      throw new AppError(
+        409,
+        'An account with this email already exists. Confirm with its password to link Google sign-in.',
+        true,
+        { linkRequired: true, linkToken }
+      );
+    }
+
+    const randomPassword = crypto.randomBytes(16).toString('hex');
+    const hashedPassword = await bcrypt.hash(randomPassword, 12);
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        username: await this.generateUniqueUsername(email),
+        firstName,
+        lastName,
+        password: hashedPassword,
+        googleId,
+        isGoogleUser: true,
+        isVerified: true,
+        role: UserRole.USER,
+      },
+    });
+
+    logger.info(`User created from Google identity: ${email}`);
     return user;
-  }  
+  }
+
+  // Confirm linking a Google identity to an existing account with its password.
+  async linkGoogleAccount(linkToken, password, client = {}) {
+    const { ip } = client;
+    if (!linkToken || !password) {
+      throw new AppError(400, 'Link token and password are required');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(linkToken, process.env.JWT_ACCESS_SECRET, {
+        audience: GOOGLE_LINK_AUDIENCE,
+      });
+    } catch (error) {
+      throw new AppError(401, 'Invalid or expired link token');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+    if (!user) {
+      throw new AppError(401, 'Invalid or expired link token');
+    }
+
+    if (user.googleId && user.googleId !== decoded.googleId) {
+      throw new AppError(409, 'This account is already linked to another Google account');
+    }
+
+    if (user.accountLockedUntil?.getTime() > Date.now()) {
+      logger.warn(`Google link attempt on locked account (${user.email}) from IP: ${ip}`);
+      throw new AppError(403, 'Account temporarily locked. Try again later');
+    }
+
+    try {
+      await this.verifyPassword(user.password, password);
+    } catch (error) {
+      await this.handleFailedLoginAttempt(user.id, user.failedLoginAttempts, client);
+      throw error;
+    }
+
+    // Google has verified ownership of the address, so the account is verified too.
+    const linkedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        googleId: decoded.googleId,
+        isGoogleUser: true,
+        isVerified: true,
+        verificationToken: null,
+        verificationTokenExpires: null,
+      },
+    });
+
+    logger.info(`Google identity linked for user: ${user.email}`);
+    await auditService.record(AuditEventType.GOOGLE_LINKED, {
+      userId: user.id,
+      ...client,
+    });
+    return this.completeLogin(linkedUser, client, 'google');
+  }
+
+  // Derive a free username from the email's local part.
+  async generateUniqueUsername(email) {
+    const base = email.split('@')[0].replace(/[^a-zA-Z0-9._-]/g, '') || 'user';
+    let candidate = base;
 
+    while (await prisma.user.findUnique({ where: { username: candidate } })) {
+      candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return candidate;
+  }
 
-  
-  
   // Generate a new access and refresh token pair.
-  async generateTokens(userId, role) {
+  // A new login starts a new family; rotations pass the existing familyId.
+  async generateTokens(userId, role, options = {}) {
+    const { familyId = crypto.randomUUID(), ip, userAgent } = options;
+
     // Generate a unique token identifier
     const jti = crypto.randomUUID();
 
@@ -351,11 +873,15 @@ class AuthService {
       refreshTokenOptions
     );
 
-    // Save the refresh token in the database.
+    // Save only the hash of the refresh token in the database.
     await prisma.refreshToken.create({
       data: {
-        token: refreshToken,
+        token: hashToken(refreshToken),
+        jti,
+        familyId,
         userId,
+        ipAddress: ip || null,
+        userAgent: userAgent || null,
         expiresAt: new Date(Date.now() + parseExpiration(REFRESH_TOKEN_EXPIRY)),
       },
     });
@@ -364,6 +890,51 @@ class AuthService {
     return { accessToken, refreshToken };
   }
 
+  // Verify a refresh token and load its stored record.
+  async findStoredRefreshToken(refreshToken) {
+    if (!refreshToken) {
+      throw new AppError(400, 'Refresh token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      logger.error('Refresh token verification failed:', error);
+      throw new AppError(401, 'Invalid refresh token');
+    }
+
+    const storedToken = await prisma.refreshToken.findUnique({
+      where: { jti: decoded.jti },
+    });
+
+    if (!storedToken || storedToken.token !== hashToken(refreshToken)) {
+      logger.warn(`Unknown refresh token presented with jti: ${decoded.jti}`);
+      throw new AppError(401, 'Invalid refresh token');
+    }
+
+    return storedToken;
+  }
+
+  // Revoke every token issued from the same login.
+  async revokeTokenFamily(familyId) {
+    const { count } = await prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    logger.info(`Revoked ${count} token(s) in family ${familyId}`);
+  }
+
+  // Revoke every outstanding token of a user.
+  // Returns the query so callers can include it in a transaction.
+  revokeUserTokens(userId) {
+    return prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  }
+
   // Compare a candidate password with the hashed password.
   async verifyPassword(hashedPassword, candidatePassword) {
     const isMatch = await bcrypt.compare(candidatePassword, hashedPassword);
@@ -399,7 +970,7 @@ class AuthService {
     }
   }
 
-  async handleFailedLoginAttempt(userId, currentAttempts) {
+  async handleFailedLoginAttempt(userId, currentAttempts, client = {}) {
     const attempts = currentAttempts + 1;
     const lockDuration = this.calculateLockDuration(attempts);
 
@@ -412,6 +983,14 @@ class AuthService {
     });
 
     logger.warn(`Failed login attempts for user ${userId}: ${attempts}`);
+
+    if (lockDuration) {
+      await auditService.record(AuditEventType.ACCOUNT_LOCKED, {
+        userId,
+        ...client,
+        metadata: { attempts, lockedUntil: lockDuration.toISOString() },
+      });
+    }
   }
 
   calculateLockDuration(attempts) {
@@ -0,0 +1,139 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import logger from '../middleware/logger.middleware.js';
+
+const MAX_COLLECTIONS_PER_USER = 100;
+const MAX_ITEMS_PER_COLLECTION = 500;
+
+const OWNER_SELECT = { id: true, username: true };
+const ARTIST_SELECT = { id: true, username: true, firstName: true, lastName: true };
+
+class CollectionService {
+  async listMine(userId) {
+    return prisma.collection.findMany({
+      where: { ownerId: userId },
+      include: { _count: { select: { items: true } } },
+      orderBy: { updatedAt: 'desc' },
+    });
+  }
+
+  async create(userId, { name, description, isPublic }) {
+    const count = await prisma.collection.count({ where: { ownerId: userId } });
+    if (count >= MAX_COLLECTIONS_PER_USER) {
+      throw new AppError(400, `You can have at most ${MAX_COLLECTIONS_PER_USER} collections`);
+    }
+
+    await this.assertNameAvailable(userId, name);
+
+    const collection = await prisma.collection.create({
+      data: { ownerId: userId, name, description, isPublic },
+    });
+
+    logger.info(`Collection ${collection.id} created by user: ${userId}`);
+    return collection;
+  }
+
+  // Private collections are only visible to their owner.
+  async getById(collectionId, user) {
+    const collection = await prisma.collection.findUnique({
+      where: { id: collectionId },
+      include: {
+        owner: { select: OWNER_SELECT },
+        items: {
+          where: { product: { isActive: true } },
+          include: { product: { include: { artist: { select: ARTIST_SELECT } } } },
+          orderBy: { createdAt: 'desc' },
+        },
+      },
+    });
+
+    if (!collection || (!collection.isPublic && collection.ownerId !== user?.id)) {
+      throw new AppError(404, 'Collection not found');
+    }
+    return collection;
+  }
+
+  async update(collectionId, userId, updates) {
+    const collection = await this.findOwned(collectionId, userId);
+
+    if (updates.name !== undefined && updates.name !== collection.name) {
+      await this.assertNameAvailable(userId, updates.name);
+    }
+
+    const updated = await prisma.collection.update({
+      where: { id: collectionId },
+      data: updates,
+    });
+
+    logger.info(`Collection ${collectionId} updated by user: ${userId}`);
+    return updated;
+  }
+
+  async delete(collectionId, userId) {
+    await this.findOwned(collectionId, userId);
+    await prisma.collection.delete({ where: { id: collectionId } });
+    logger.info(`Collection ${collectionId} deleted by user: ${userId}`);
+  }
+
+  // Adding a product that is already on the board is a no-op.
+  async addItem(collectionId, userId, { productId, note }) {
+    await this.findOwned(collectionId, userId);
+
+    const product = await prisma.product.findFirst({
+      where: { id: productId, isActive: true },
+      select: { id: true },
+    });
+    if (!product) {
+      throw new AppError(404, 'Product not found');
+    }
+
+    const itemCount = await prisma.collectionItem.count({ where: { collectionId } });
+    if (itemCount >= MAX_ITEMS_PER_COLLECTION) {
+      throw new AppError(400, `A collection can hold at most ${MAX_ITEMS_PER_COLLECTION} products`);
+    }
+
+    await prisma.$transaction([
+      prisma.collectionItem.createMany({
+        data: [{ collectionId, productId, note }],
+        skipDuplicates: true,
+      }),
+      prisma.collection.update({
+        where: { id: collectionId },
+        data: { updatedAt: new Date() },
+      }),
+    ]);
+
+    return prisma.collectionItem.findUnique({
+      where: { collectionId_productId: { collectionId, productId } },
+    });
+  }
+
+  async removeItem(collectionId, userId, productId) {
+    await this.findOwned(collectionId, userId);
+    await prisma.collectionItem.deleteMany({ where: { collectionId, productId } });
+  }
+
+  async assertNameAvailable(userId, name) {
+    const existing = await prisma.collection.findUnique({
+      where: { ownerId_name: { ownerId: userId, name } },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new AppError(409, 'You already have a collection with this name');
+    }
+  }
+
+  async findOwned(collectionId, userId) {
+    const collection = await prisma.collection.findUnique({
+      where: { id: collectionId },
+    });
+
+    // Someone else's collection is reported as missing rather than forbidden.
+    if (!collection || collection.ownerId !== userId) {
+      throw new AppError(404, 'Collection not found');
+    }
+    return collection;
+  }
+}
+
+export const collectionService = new CollectionService();
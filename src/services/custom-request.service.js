@@ -0,0 +1,152 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { orderStateService } from './order-state.service.js';
+import { quoteService } from './quote.service.js';
+import { refundService } from './refund.service.js';
+import { UserRole, OrderStatus, OrderAction, QuoteStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+// Buyer side of the commission flow: draft, submit, respond to quotes.
+// Every state change goes through OrderStateService.
+class CustomRequestService {
+  async createDraft(userId, { artistId, customDetails }) {
+    if (artistId === userId) {
+      throw new AppError(400, 'You cannot commission yourself');
+    }
+
+    const artist = await prisma.user.findFirst({
+      where: { id: artistId, role: UserRole.ARTIST, deletedAt: null },
+      select: { id: true },
+    });
+    if (!artist) {
+      throw new AppError(404, 'Artist not found');
+    }
+
+    if (customDetails.referenceProductIds?.length) {
+      const found = await prisma.product.count({
+        where: {
+          id: { in: customDetails.referenceProductIds },
+          artistId,
+          isActive: true,
+        },
+      });
+      if (found !== new Set(customDetails.referenceProductIds).size) {
+        throw new AppError(400, 'Reference products must be active products of this artist');
+      }
+    }
+
+    const order = await prisma.order.create({
+      data: { userId, artistId, customDetails },
+    });
+
+    logger.info(`Custom request ${order.id} drafted by user: ${userId}`);
+    return order;
+  }
+
+  // Drafts are freely editable by the buyer until they are submitted.
+  async updateDraft(orderId, userId, { customDetails }) {
+    const { count } = await prisma.order.updateMany({
+      where: { id: orderId, userId, status: OrderStatus.DRAFT },
+      data: { customDetails },
+    });
+
+    if (count === 0) {
+      const order = await prisma.order.findFirst({
+        where: { id: orderId, userId },
+        select: { id: true },
+      });
+      throw order
+        ? new AppError(409, 'Only draft requests can be edited')
+        : new AppError(404, 'Custom request not found');
+    }
+
+    return prisma.order.findUnique({ where: { id: orderId } });
+  }
+
+  submit(orderId, user) {
+    return orderStateService.transition(orderId, OrderAction.SUBMIT, user);
+  }
+
+  // Each quote is a new version; earlier versions and the buyer's answers to
+  // them are kept as the negotiation history.
+  async quote(orderId, user, input) {
+    let quote;
+    const order = await orderStateService.transition(orderId, OrderAction.QUOTE, user, {
+      note: input.artistNotes,
+      effect: async (tx) => {
+        quote = await quoteService.create(tx, orderId, user.id, input);
+        await tx.order.update({
+          where: { id: orderId },
+          data: { quotedPrice: quote.amount },
+        });
+        return quoteService.summarize(quote);
+      },
+    });
+
+    return { ...order, quote };
+  }
+
+  async approveQuote(orderId, user, { comment } = {}) {
+    await this.assertOpenQuote(orderId);
+    return this.respondToQuote(
+      orderId,
+      user,
+      OrderAction.APPROVE_QUOTE,
+      QuoteStatus.APPROVED,
+      comment
+    );
+  }
+
+  // Also answers a quote that expired unanswered; the order would otherwise
+  // stay QUOTED with nothing for the buyer to respond to.
+  requestRevision(orderId, user, { note }) {
+    return this.respondToQuote(
+      orderId,
+      user,
+      OrderAction.REQUEST_REVISION,
+      QuoteStatus.REVISION_REQUESTED,
+      note,
+      { includeExpired: true }
+    );
+  }
+
+  // Paid orders are refunded according to the refund policy.
+  cancel(orderId, user, { reason }) {
+    return refundService.cancelOrder(orderId, user, { reason });
+  }
+
+  async respondToQuote(orderId, user, action, quoteStatus, comment, { includeExpired } = {}) {
+    let quote;
+    const order = await orderStateService.transition(orderId, action, user, {
+      note: comment,
+      effect: async (tx) => {
+        const open = includeExpired
+          ? await quoteService.getRevisable(orderId, tx)
+          : await quoteService.getPending(orderId, tx);
+        quote = await quoteService.respond(tx, open.id, quoteStatus, comment, [
+          QuoteStatus.PENDING,
+          ...(includeExpired ? [QuoteStatus.EXPIRED] : []),
+        ]);
+        return quoteService.summarize(quote);
+      },
+    });
+
+    return { ...order, quote };
+  }
+
+  // An expired quote cannot be approved. Mark it outside the approval
+  // transaction so the expiry sticks even though the request fails.
+  async assertOpenQuote(orderId) {
+    const pending = await prisma.quote.findFirst({
+      where: { orderId, status: QuoteStatus.PENDING },
+      orderBy: { version: 'desc' },
+    });
+
+    if (pending && quoteService.isExpired(pending)) {
+      await quoteService.expire(pending.id);
+      throw new AppError(409, 'This quote has expired; request a revision to get a new one');
+    }
+  }
+}
+
+export const customRequestService = new CustomRequestService();
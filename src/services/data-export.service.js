@@ -0,0 +1,277 @@
+import archiver from 'archiver';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { notificationService } from './notification.service.js';
+import { env } from '../config/env.config.js';
+import { DataExportStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const DOWNLOAD_LINK_TTL = 48 * 60 * 60 * 1000;
+// An export still pending after this long was lost, e.g. to a restart.
+const STALE_EXPORT_AGE = 30 * 60 * 1000;
+
+class DataExportService {
+  constructor() {
+    this.exportDir = path.resolve(env.DATA_EXPORT_DIR);
+  }
+
+  // Queue an export of everything tied to the user; the archive is built in
+  // the background and a download link is emailed when it is ready.
+  async requestExport(userId, req) {
+    await prisma.dataExport.updateMany({
+      where: {
+        userId,
+        status: DataExportStatus.PENDING,
+        createdAt: { lt: new Date(Date.now() - STALE_EXPORT_AGE) },
+      },
+      data: { status: DataExportStatus.FAILED },
+    });
+    await this.removeExpiredExports();
+
+    const inProgress = await prisma.dataExport.findFirst({
+      where: { userId, status: DataExportStatus.PENDING },
+      select: { id: true },
+    });
+
+    if (inProgress) {
+      throw new AppError(409, 'An export is already being prepared');
+    }
+
+    const dataExport = await prisma.dataExport.create({ data: { userId } });
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    setImmediate(() => {
+      this.generate(dataExport.id, baseUrl).catch((error) => {
+        logger.error(`Data export ${dataExport.id} failed:`, error);
+      });
+    });
+
+    logger.info(`Data export ${dataExport.id} requested by user: ${userId}`);
+    return { id: dataExport.id, status: dataExport.status, createdAt: dataExport.createdAt };
+  }
+
+  async listExports(userId) {
+    return prisma.dataExport.findMany({
+      where: { userId },
+      select: { id: true, status: true, expiresAt: true, completedAt: true, createdAt: true },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  // Build the archive, store it and email a time-limited download link.
+  async generate(exportId, baseUrl) {
+    const dataExport = await prisma.dataExport.findUnique({
+      where: { id: exportId },
+      include: { user: { select: { email: true } } },
+    });
+
+    const filePath = this.archivePath(exportId);
+    try {
+      const collections = await this.collectUserData(dataExport.userId);
+      await this.writeArchive(filePath, collections);
+
+      const rawToken = crypto.randomBytes(32).toString('hex');
+      const hashedToken = crypto.createHash('sha256').update(rawToken).digest('hex');
+      const expiresAt = new Date(Date.now() + DOWNLOAD_LINK_TTL);
+
+      await prisma.dataExport.update({
+        where: { id: exportId },
+        data: {
+          status: DataExportStatus.READY,
+          filePath,
+          downloadToken: hashedToken,
+          expiresAt,
+          completedAt: new Date(),
+        },
+      });
+
+      await this.removePreviousExports(dataExport.userId, exportId);
+
+      await notificationService.sendDataExportNotification(
+        dataExport.user.email,
+        `${baseUrl}/api/users/me/export/download?token=${rawToken}`,
+        expiresAt
+      );
+      logger.info(`Data export ${exportId} ready for user: ${dataExport.userId}`);
+    } catch (error) {
+      // The row is gone if the account was deleted meanwhile; the archive
+      // must not outlive it.
+      await fs.promises.rm(filePath, { force: true });
+      await prisma.dataExport.updateMany({
+        where: { id: exportId },
+        data: { status: DataExportStatus.FAILED, filePath: null, downloadToken: null },
+      });
+      throw error;
+    }
+  }
+
+  // Resolve a download token to the archive on disk.
+  async getDownload(token) {
+    if (!token) {
+      throw new AppError(400, 'Download token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const dataExport = await prisma.dataExport.findFirst({
+      where: {
+        downloadToken: hashedToken,
+        status: DataExportStatus.READY,
+        expiresAt: { gt: new Date() },
+      },
+    });
+
+    if (!dataExport || !fs.existsSync(dataExport.filePath)) {
+      throw new AppError(404, 'Download link is invalid or has expired');
+    }
+
+    return {
+      filePath: dataExport.filePath,
+      fileName: `data-export-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`,
+    };
+  }
+
+  // One JSON document per collection. Credentials and secrets are never exported.
+  async collectUserData(userId) {
+    const [
+      profile,
+      addresses,
+      orders,
+      messages,
+      likes,
+      collections,
+      following,
+      reviews,
+      discountUses,
+    ] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          username: true,
+          firstName: true,
+          lastName: true,
+          role: true,
+          isVerified: true,
+          isGoogleUser: true,
+          twoFactorEnabled: true,
+          artistProfile: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      }),
+      prisma.address.findMany({ where: { userId } }),
+      prisma.order.findMany({
+        where: { userId },
+        include: { attachments: true },
+      }),
+      prisma.message.findMany({
+        where: { OR: [{ senderId: userId }, { receiverId: userId }] },
+        orderBy: { createdAt: 'asc' },
+      }),
+      prisma.like.findMany({ where: { userId } }),
+      prisma.collection.findMany({ where: { ownerId: userId }, include: { items: true } }),
+      prisma.follow.findMany({
+        where: { followerId: userId },
+        include: { artist: { select: { username: true } } },
+      }),
+      prisma.review.findMany({ where: { userId } }),
+      prisma.discountUse.findMany({
+        where: { userId },
+        include: { discount: { select: { code: true, type: true, value: true } } },
+      }),
+    ]);
+
+    const payments = await prisma.payment.findMany({
+      where: { orderId: { in: orders.map((order) => order.id) } },
+    });
+
+    return {
+      profile,
+      addresses,
+      orders,
+      payments,
+      messages,
+      likes,
+      collections,
+      following,
+      reviews,
+      discountUses,
+    };
+  }
+
+  async writeArchive(filePath, collections) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(output);
+
+      for (const [name, data] of Object.entries(collections)) {
+        archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+      }
+
+      archive.finalize();
+    });
+  }
+
+  // Keep only the newest archive per user.
+  async removePreviousExports(userId, keepId) {
+    const previous = await prisma.dataExport.findMany({
+      where: { userId, id: { not: keepId }, filePath: { not: null } },
+      select: { id: true, filePath: true },
+    });
+
+    for (const dataExport of previous) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+
+    if (previous.length > 0) {
+      await prisma.dataExport.updateMany({
+        where: { id: { in: previous.map((e) => e.id) } },
+        data: { filePath: null, downloadToken: null, expiresAt: null },
+      });
+    }
+  }
+
+  // Archives are only kept while their download link is valid.
+  async removeExpiredExports(now = new Date()) {
+    const expired = await prisma.dataExport.findMany({
+      where: { filePath: { not: null }, expiresAt: { lt: now } },
+      select: { id: true, filePath: true },
+    });
+
+    for (const dataExport of expired) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+
+    if (expired.length > 0) {
+      await prisma.dataExport.updateMany({
+        where: { id: { in: expired.map((e) => e.id) } },
+        data: { filePath: null, downloadToken: null },
+      });
+    }
+    return expired.length;
+  }
+
+  // Remove the archives of exports whose rows were deleted with the account.
+  async removeArchives(exportIds) {
+    for (const exportId of exportIds) {
+      await fs.promises.rm(this.archivePath(exportId), { force: true });
+    }
+  }
+
+  archivePath(exportId) {
+    return path.join(this.exportDir, `${exportId}.zip`);
+  }
+}
+
+export const dataExportService = new DataExportService();
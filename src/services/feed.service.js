@@ -0,0 +1,167 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { notificationService } from './notification.service.js';
+import { env } from '../config/env.config.js';
+import logger from '../middleware/logger.middleware.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DIGEST_BATCH_SIZE = 100;
+const DIGEST_MAX_PRODUCTS = 10;
+const DIGEST_MAX_ANNOUNCEMENTS = 5;
+
+const ARTIST_SELECT = { id: true, username: true, firstName: true, lastName: true };
+
+// Same opaque cursor format as product search: base64url JSON of the last item.
+function encodeCursor(item) {
+  const payload = { t: item.createdAt.toISOString(), id: item.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(payload.t);
+    if (Number.isNaN(createdAt.getTime()) || typeof payload.id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return { createdAt, id: payload.id };
+  } catch (error) {
+    throw new AppError(400, 'Invalid cursor');
+  }
+}
+
+// Items strictly after the cursor in (createdAt, id) descending order.
+function keysetWhere(cursor) {
+  if (!cursor) return {};
+  return {
+    OR: [
+      { createdAt: { lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+    ],
+  };
+}
+
+function byNewest(a, b) {
+  if (a.createdAt.getTime() !== b.createdAt.getTime()) {
+    return b.createdAt - a.createdAt;
+  }
+  return a.id < b.id ? 1 : -1;
+}
+
+class FeedService {
+  // Merge new products and announcements from followed artists, newest first.
+  // Each source is read with the same keyset, so merging two pages of limit + 1
+  // rows is enough to fill one page of the feed.
+  async getFeed(userId, { cursor, limit }) {
+    const position = cursor ? decodeCursor(cursor) : null;
+    const followed = { followers: { some: { followerId: userId } }, deletedAt: null };
+
+    const [products, announcements] = await Promise.all([
+      prisma.product.findMany({
+        where: { isActive: true, artist: followed, ...keysetWhere(position) },
+        include: { artist: { select: ARTIST_SELECT } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
+      }),
+      prisma.artistAnnouncement.findMany({
+        where: { artist: followed, ...keysetWhere(position) },
+        include: { artist: { select: ARTIST_SELECT } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
+      }),
+    ]);
+
+    const merged = [
+      ...products.map((product) => ({ type: 'product', ...product })),
+      ...announcements.map((announcement) => ({ type: 'announcement', ...announcement })),
+    ].sort(byNewest);
+
+    const items = merged.slice(0, limit);
+    const nextCursor = merged.length > limit ? encodeCursor(items[items.length - 1]) : null;
+
+    return { items, nextCursor };
+  }
+
+  // Email opted-in followers who have not been active recently a summary of
+  // what their artists posted since the last digest. Meant to run from a
+  // scheduler (see scripts/send-follow-digests.js).
+  async sendDigests(now = new Date()) {
+    const inactiveSince = new Date(now.getTime() - env.FOLLOW_DIGEST_INACTIVE_DAYS * DAY);
+    const digestDueBefore = new Date(now.getTime() - env.FOLLOW_DIGEST_INTERVAL_DAYS * DAY);
+
+    let sent = 0;
+    let lastId;
+
+    for (;;) {
+      const recipients = await prisma.user.findMany({
+        where: {
+          followDigestEnabled: true,
+          deletedAt: null,
+          following: { some: {} },
+          // Sessions are touched on use, so no recent touch means no recent activity.
+          refreshTokens: { none: { lastUsedAt: { gt: inactiveSince } } },
+          OR: [{ lastDigestSentAt: null }, { lastDigestSentAt: { lt: digestDueBefore } }],
+          ...(lastId && { id: { gt: lastId } }),
+        },
+        select: { id: true, email: true, username: true, lastDigestSentAt: true },
+        orderBy: { id: 'asc' },
+        take: DIGEST_BATCH_SIZE,
+      });
+
+      if (recipients.length === 0) break;
+      lastId = recipients[recipients.length - 1].id;
+
+      for (const recipient of recipients) {
+        try {
+          if (await this.sendDigest(recipient, now)) sent += 1;
+        } catch (error) {
+          logger.error(`Failed to send follow digest to user ${recipient.id}:`, error);
+        }
+      }
+    }
+
+    logger.info(`Sent ${sent} follow digest(s)`);
+    return sent;
+  }
+
+  async sendDigest(recipient, now) {
+    const since = recipient.lastDigestSentAt
+      || new Date(now.getTime() - env.FOLLOW_DIGEST_INTERVAL_DAYS * DAY);
+    const followed = { followers: { some: { followerId: recipient.id } }, deletedAt: null };
+    const window = { createdAt: { gt: since, lte: now } };
+
+    const [products, announcements] = await Promise.all([
+      prisma.product.findMany({
+        where: { isActive: true, artist: followed, ...window },
+        include: { artist: { select: ARTIST_SELECT } },
+        orderBy: { createdAt: 'desc' },
+        take: DIGEST_MAX_PRODUCTS,
+      }),
+      prisma.artistAnnouncement.findMany({
+        where: { artist: followed, ...window },
+        include: { artist: { select: ARTIST_SELECT } },
+        orderBy: { createdAt: 'desc' },
+        take: DIGEST_MAX_ANNOUNCEMENTS,
+      }),
+    ]);
+
+    // Nothing new: leave lastDigestSentAt alone so the next run covers this window too.
+    if (products.length === 0 && announcements.length === 0) {
+      return false;
+    }
+
+    await notificationService.sendFollowDigestNotification(recipient.email, {
+      username: recipient.username,
+      products,
+      announcements,
+    });
+
+    await prisma.user.update({
+      where: { id: recipient.id },
+      data: { lastDigestSentAt: now },
+    });
+    return true;
+  }
+}
+
+export const feedService = new FeedService();
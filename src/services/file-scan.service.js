@@ -0,0 +1,126 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { createScanner } from './scanners/index.js';
+import { storageService } from './storage.service.js';
+import { FileScanStatus, MilestoneStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const MAX_ATTEMPTS = 5;
+const STALE_PENDING_AFTER = 10 * 60 * 1000;
+
+class FileScanService {
+  constructor(scanner = createScanner()) {
+    this.scanner = scanner;
+  }
+
+  // Scan in the background; the upload request does not wait for the verdict.
+  enqueue(scanId, storageKey) {
+    setImmediate(() => {
+      this.scan(scanId, storageKey).catch((error) => {
+        logger.error(`File scan ${scanId} crashed:`, error);
+      });
+    });
+  }
+
+  async scan(scanId, storageKey) {
+    try {
+      const buffer = await storageService.get(storageKey);
+      const result = await this.scanner.scan(buffer);
+
+      await prisma.fileScan.update({
+        where: { id: scanId },
+        data: {
+          status: result.clean ? FileScanStatus.CLEAN : FileScanStatus.INFECTED,
+          engine: result.engine,
+          signature: result.signature || null,
+          error: null,
+          attempts: { increment: 1 },
+          scannedAt: new Date(),
+        },
+      });
+
+      if (!result.clean) {
+        // Never keep infected content around, even unserved.
+        await storageService.delete(storageKey);
+        logger.warn(`File scan ${scanId} found ${result.signature}; file removed`);
+        await this.reopenMilestone(scanId);
+      } else {
+        logger.info(`File scan ${scanId} clean`);
+      }
+    } catch (error) {
+      await prisma.fileScan.update({
+        where: { id: scanId },
+        data: {
+          status: FileScanStatus.FAILED,
+          error: error.message,
+          attempts: { increment: 1 },
+        },
+      });
+      logger.error(`File scan ${scanId} failed:`, error);
+    }
+  }
+
+  // An infected delivery leaves nothing to review, so its milestone goes back
+  // to awaiting a delivery (as it was before this one) if it is the latest.
+  async reopenMilestone(scanId) {
+    const delivery = await prisma.milestoneDelivery.findFirst({
+      where: { scanId },
+      include: { milestone: true },
+    });
+    if (!delivery) {
+      return;
+    }
+
+    const newer = await prisma.milestoneDelivery.count({
+      where: { milestoneId: delivery.milestoneId, version: { gt: delivery.version } },
+    });
+    if (newer > 0) {
+      return;
+    }
+
+    const { milestone } = delivery;
+    const { count } = await prisma.milestone.updateMany({
+      where: { id: milestone.id, status: MilestoneStatus.IN_REVIEW },
+      data: {
+        status:
+          milestone.revisionCount > 0
+            ? MilestoneStatus.CHANGES_REQUESTED
+            : MilestoneStatus.PENDING,
+        deliveredAt: null,
+      },
+    });
+    if (count > 0) {
+      logger.warn(`Milestone ${milestone.id} reopened after an infected delivery`);
+    }
+  }
+
+  // Retry failed scans and pick up scans orphaned by a restart.
+  async rescanPending() {
+    const scans = await prisma.fileScan.findMany({
+      where: {
+        attempts: { lt: MAX_ATTEMPTS },
+        OR: [
+          { status: FileScanStatus.FAILED },
+          {
+            status: FileScanStatus.PENDING,
+            createdAt: { lt: new Date(Date.now() - STALE_PENDING_AFTER) },
+          },
+        ],
+      },
+      include: {
+        OrderAttachment: { select: { url: true } },
+        milestoneDeliveries: { select: { originalKey: true } },
+      },
+    });
+
+    for (const scan of scans) {
+      const key = scan.OrderAttachment[0]?.url ?? scan.milestoneDeliveries[0]?.originalKey;
+      if (key) {
+        await this.scan(scan.id, key);
+      }
+    }
+
+    return scans.length;
+  }
+}
+
+export const fileScanService = new FileScanService();
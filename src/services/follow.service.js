@@ -0,0 +1,119 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { UserRole } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const ARTIST_SELECT = { id: true, username: true, firstName: true, lastName: true };
+
+class FollowService {
+  // Idempotent, like product likes: repeating the request is a no-op.
+  async follow(userId, username) {
+    const artist = await this.findArtist(username);
+
+    if (artist.id === userId) {
+      throw new AppError(400, 'You cannot follow yourself');
+    }
+
+    await prisma.follow.createMany({
+      data: [{ followerId: userId, artistId: artist.id }],
+      skipDuplicates: true,
+    });
+
+    logger.info(`User ${userId} followed artist: ${artist.id}`);
+    return { following: true, followerCount: await this.countFollowers(artist.id) };
+  }
+
+  async unfollow(userId, username) {
+    const artist = await this.findArtist(username);
+
+    await prisma.follow.deleteMany({
+      where: { followerId: userId, artistId: artist.id },
+    });
+
+    logger.info(`User ${userId} unfollowed artist: ${artist.id}`);
+    return { following: false, followerCount: await this.countFollowers(artist.id) };
+  }
+
+  async listFollowing(userId, { page, limit }) {
+    const where = { followerId: userId, artist: { deletedAt: null } };
+
+    const [follows, total] = await prisma.$transaction([
+      prisma.follow.findMany({
+        where,
+        include: { artist: { select: ARTIST_SELECT } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.follow.count({ where }),
+    ]);
+
+    return {
+      artists: follows.map(({ artist, createdAt }) => ({ ...artist, followedAt: createdAt })),
+      total,
+      page,
+      limit,
+    };
+  }
+
+  async createAnnouncement(artistId, { title, body }) {
+    const announcement = await prisma.artistAnnouncement.create({
+      data: { artistId, title, body },
+    });
+
+    logger.info(`Announcement ${announcement.id} posted by artist: ${artistId}`);
+    return announcement;
+  }
+
+  async deleteAnnouncement(announcementId, user) {
+    const announcement = await prisma.artistAnnouncement.findUnique({
+      where: { id: announcementId },
+      select: { id: true, artistId: true },
+    });
+
+    if (
+      !announcement ||
+      (announcement.artistId !== user.id && user.role !== UserRole.ADMIN)
+    ) {
+      throw new AppError(404, 'Announcement not found');
+    }
+
+    await prisma.artistAnnouncement.delete({ where: { id: announcementId } });
+    logger.info(`Announcement ${announcementId} deleted by user: ${user.id}`);
+  }
+
+  async listAnnouncements(username, { page, limit }) {
+    const artist = await this.findArtist(username);
+    const where = { artistId: artist.id };
+
+    const [announcements, total] = await prisma.$transaction([
+      prisma.artistAnnouncement.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.artistAnnouncement.count({ where }),
+    ]);
+
+    return { announcements, total, page, limit };
+  }
+
+  countFollowers(artistId) {
+    return prisma.follow.count({ where: { artistId } });
+  }
+
+  async findArtist(username) {
+    const artist = await prisma.user.findFirst({
+      where: { username, role: UserRole.ARTIST, deletedAt: null },
+      select: { id: true },
+    });
+
+    if (!artist) {
+      throw new AppError(404, 'Artist not found');
+    }
+    return artist;
+  }
+}
+
+export const followService = new FollowService();
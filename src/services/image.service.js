@@ -0,0 +1,75 @@
+import sharp from 'sharp';
+import { storageService, Visibility } from './storage.service.js';
+import { AppError } from '../middleware/error.middleware.js';
+import logger from '../middleware/logger.middleware.js';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const PREVIEW_MAX_SIZE = 1600;
+
+const escapeXml = (text) =>
+  text.replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+class ImageService {
+  // Product images are public: the returned URLs go straight into Product.images.
+  async uploadProductImages(userId, files) {
+    this.assertImages(files);
+
+    const images = [];
+    for (const file of files) {
+      const key = storageService.buildKey(
+        Visibility.PUBLIC,
+        `products/${userId}`,
+        file.detectedType.ext
+      );
+      await storageService.put(key, file.buffer, { contentType: file.detectedType.mime });
+      images.push({ key, url: storageService.publicUrl(key) });
+    }
+
+    logger.info(`${images.length} product image(s) uploaded by user: ${userId}`);
+    return images;
+  }
+
+  // Downscaled JPEG with the label tiled diagonally across it, so previews
+  // are useless as a substitute for the paid-for original.
+  async createWatermarkedPreview(buffer, label) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({
+        width: PREVIEW_MAX_SIZE,
+        height: PREVIEW_MAX_SIZE,
+        fit: 'inside',
+        withoutEnlargement: true,
+      })
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const fontSize = Math.max(14, Math.round(Math.min(width, height) / 18));
+    const tile = fontSize * 12;
+    const overlay = `
+      <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+          <pattern id="wm" width="${tile}" height="${tile / 2}" patternUnits="userSpaceOnUse"
+                   patternTransform="rotate(-30)">
+            <text x="0" y="${fontSize}" font-family="sans-serif" font-size="${fontSize}"
+                  font-weight="bold" fill="white" fill-opacity="0.45"
+                  stroke="black" stroke-opacity="0.25">${escapeXml(label)}</text>
+          </pattern>
+        </defs>
+        <rect width="100%" height="100%" fill="url(#wm)" />
+      </svg>`;
+
+    return sharp(data)
+      .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  }
+
+  assertImages(files) {
+    const rejected = files.find((file) => !IMAGE_TYPES.includes(file.detectedType.mime));
+    if (rejected) {
+      throw new AppError(415, `${rejected.originalname} is not a supported image`);
+    }
+  }
+}
+
+export const imageService = new ImageService();
@@ -0,0 +1,336 @@
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { orderStateService } from './order-state.service.js';
+import { storageService, Visibility } from './storage.service.js';
+import { renderInvoicePdf } from './invoices/invoice.renderer.js';
+import {
+  InvoiceType,
+  PaymentStatus,
+  RefundStatus,
+  QuoteLineItemType,
+} from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const SERIES = {
+  [InvoiceType.INVOICE]: { prefix: 'INV', title: 'Tax invoice' },
+  [InvoiceType.CREDIT_NOTE]: { prefix: 'CN', title: 'Credit note' },
+};
+
+const INVOICED_STATUSES = [PaymentStatus.CAPTURED, PaymentStatus.REFUNDED];
+
+// Printed for quote line items the artist left without a description.
+const LINE_ITEM_LABELS = {
+  [QuoteLineItemType.BASE]: 'Artwork',
+  [QuoteLineItemType.RUSH_FEE]: 'Rush fee',
+  [QuoteLineItemType.MATERIALS]: 'Materials',
+  [QuoteLineItemType.OTHER]: 'Other charges',
+};
+
+const ISSUE_TIMEOUT = 15000;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Prices are quoted VAT-inclusive, so the tax is the share of the total
+// above its net amount.
+const includedTax = (total, percent) => roundAmount(total - total / (1 + percent / 100));
+
+const displayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+const PAYMENT_INCLUDE = {
+  quote: { select: { lineItems: true } },
+  order: {
+    select: {
+      id: true,
+      userId: true,
+      user: { select: { username: true, firstName: true, lastName: true, email: true } },
+      artist: { select: { username: true } },
+      discount: { select: { code: true } },
+    },
+  },
+};
+
+// Invoices are issued once per captured payment and credit notes once per
+// succeeded refund. Both are numbered without gaps per series and year, and
+// never change after issue: the rendered PDF is stored with its hash.
+class InvoiceService {
+  async issueForPayment(paymentId) {
+    const existing = await prisma.invoice.findUnique({
+      where: { sourceKey: `payment:${paymentId}` },
+    });
+    if (existing) {
+      return this.ensureStored(existing);
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: PAYMENT_INCLUDE,
+    });
+    if (!payment || !INVOICED_STATUSES.includes(payment.status)) {
+      throw new AppError(409, 'Only captured payments are invoiced');
+    }
+
+    const { order } = payment;
+    const lines = Array.isArray(payment.quote?.lineItems)
+      ? payment.quote.lineItems.map(({ type, description, amount }) => ({
+          description: description || LINE_ITEM_LABELS[type] || 'Item',
+          amount,
+        }))
+      : [{ description: `Custom order ${order.id}`, amount: payment.quotedAmount }];
+    const discount = roundAmount(payment.quotedAmount - payment.finalAmount);
+
+    return this.issue({
+      type: InvoiceType.INVOICE,
+      sourceKey: `payment:${payment.id}`,
+      payment,
+      issuedAt: payment.capturedAt || new Date(),
+      lines,
+      subtotal: payment.quotedAmount,
+      discount: discount > 0 ? discount : 0,
+      discountLabel: order.discount ? `Discount (${order.discount.code})` : undefined,
+      total: payment.finalAmount,
+      paymentReference: payment.transactionId
+        ? `Paid via ${payment.paymentMethod || payment.provider}, ` +
+          `transaction ${payment.transactionId}`
+        : undefined,
+    });
+  }
+
+  // The credit note cites the invoice it corrects, which is issued first if
+  // the payment was somehow never invoiced.
+  async issueCreditNote(refundId) {
+    const existing = await prisma.invoice.findUnique({
+      where: { sourceKey: `refund:${refundId}` },
+    });
+    if (existing) {
+      return this.ensureStored(existing);
+    }
+
+    const refund = await prisma.refund.findUnique({
+      where: { id: refundId },
+      include: { payment: { include: PAYMENT_INCLUDE } },
+    });
+    if (!refund || refund.status !== RefundStatus.SUCCEEDED) {
+      throw new AppError(409, 'Only succeeded refunds get a credit note');
+    }
+
+    const invoice = await this.issueForPayment(refund.paymentId);
+
+    return this.issue({
+      type: InvoiceType.CREDIT_NOTE,
+      sourceKey: `refund:${refund.id}`,
+      payment: refund.payment,
+      refundId: refund.id,
+      issuedAt: refund.completedAt || new Date(),
+      reference: `Credits invoice ${invoice.number}`,
+      lines: [
+        {
+          description: refund.reason
+            ? `Refund on invoice ${invoice.number}: ${refund.reason}`
+            : `Refund on invoice ${invoice.number}`,
+          amount: refund.amount,
+        },
+      ],
+      subtotal: refund.amount,
+      discount: 0,
+      total: refund.amount,
+      paymentReference: refund.gatewayRefundId
+        ? `Refunded via ${refund.payment.provider}, reference ${refund.gatewayRefundId}`
+        : undefined,
+    });
+  }
+
+  // Number and record one document, then store its PDF. The number is
+  // printed on the PDF, so rendering (no I/O) happens in the numbering
+  // transaction; the upload waits until it commits. The payment row lock
+  // serializes issuers for the same source, and the sequence row lock keeps
+  // numbers gapless: a failed issue rolls its number back.
+  async issue({ type, sourceKey, payment, refundId, issuedAt, ...content }) {
+    const { order } = payment;
+    const taxPercent = env.INVOICE_TAX_PERCENT;
+    const document = {
+      ...content,
+      title: SERIES[type].title,
+      seller: {
+        name: env.INVOICE_SELLER_NAME || 'Our Service',
+        address: env.INVOICE_SELLER_ADDRESS,
+        taxId: env.INVOICE_SELLER_TAX_ID,
+      },
+      buyer: { name: displayName(order.user), email: order.user.email },
+      orderId: order.id,
+      artist: order.artist?.username,
+      currency: payment.currency,
+      taxPercent,
+      tax: includedTax(content.total, taxPercent),
+    };
+
+    let pdf = null;
+    const invoice = await prisma.$transaction(
+      async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "Payment" WHERE id = ${payment.id} FOR UPDATE`;
+        const existing = await tx.invoice.findUnique({ where: { sourceKey } });
+        if (existing) {
+          return existing;
+        }
+
+        const number = await this.nextNumber(tx, type, issuedAt);
+        pdf = await renderInvoicePdf({ ...document, number, issuedAt });
+
+        return tx.invoice.create({
+          data: {
+            number,
+            type,
+            sourceKey,
+            orderId: order.id,
+            paymentId: payment.id,
+            refundId,
+            currency: payment.currency,
+            subtotal: content.subtotal,
+            discount: content.discount,
+            taxPercent,
+            tax: document.tax,
+            total: content.total,
+            document: { ...document, number },
+            storageKey: storageService.buildKey(Visibility.PRIVATE, `invoices/${order.id}`, 'pdf'),
+            sha256: sha256(pdf),
+            issuedAt,
+          },
+        });
+      },
+      { timeout: ISSUE_TIMEOUT }
+    );
+
+    if (!pdf) {
+      return this.ensureStored(invoice);
+    }
+    logger.info(`Issued ${invoice.number} for order ${order.id}`);
+    return this.store(invoice, pdf);
+  }
+
+  async store(invoice, pdf) {
+    await storageService.put(invoice.storageKey, pdf, { contentType: 'application/pdf' });
+    return prisma.invoice.update({ where: { id: invoice.id }, data: { storedAt: new Date() } });
+  }
+
+  // Store an invoice whose upload failed after it was issued. Rendering is
+  // deterministic, so the hash proves this is the PDF that was issued.
+  async ensureStored(invoice) {
+    if (invoice.storedAt) {
+      return invoice;
+    }
+
+    const pdf = await renderInvoicePdf({ ...invoice.document, issuedAt: invoice.issuedAt });
+    if (sha256(pdf) !== invoice.sha256) {
+      throw new Error(`${invoice.number} no longer renders as issued; restore it manually`);
+    }
+    return this.store(invoice, pdf);
+  }
+
+  // Issue whatever a failed capture or refund follow-up left out, oldest
+  // first so numbers follow the order of events, and store PDFs whose upload
+  // failed.
+  async issueMissing() {
+    const unstored = await prisma.invoice.findMany({ where: { storedAt: null } });
+    const payments = await prisma.payment.findMany({
+      where: {
+        status: { in: INVOICED_STATUSES },
+        invoices: { none: { type: InvoiceType.INVOICE } },
+      },
+      select: { id: true },
+      orderBy: { capturedAt: 'asc' },
+    });
+    const refunds = await prisma.refund.findMany({
+      where: { status: RefundStatus.SUCCEEDED, creditNote: { is: null } },
+      select: { id: true },
+      orderBy: { completedAt: 'asc' },
+    });
+
+    let issued = 0;
+    const tasks = [
+      ...unstored.map((invoice) => () => this.ensureStored(invoice)),
+      ...payments.map(({ id }) => () => this.issueForPayment(id)),
+      ...refunds.map(({ id }) => () => this.issueCreditNote(id)),
+    ];
+    for (const task of tasks) {
+      try {
+        await task();
+        issued++;
+      } catch (error) {
+        logger.error('Issuing a missing invoice failed:', error);
+      }
+    }
+    return issued;
+  }
+
+  async nextNumber(tx, type, issuedAt) {
+    const key = `${SERIES[type].prefix}-${issuedAt.getUTCFullYear()}`;
+    const [{ last }] = await tx.$queryRaw`
+      INSERT INTO "InvoiceSequence" (key, last) VALUES (${key}, 1)
+      ON CONFLICT (key) DO UPDATE SET last = "InvoiceSequence".last + 1
+      RETURNING last
+    `;
+    return `${key}-${String(last).padStart(6, '0')}`;
+  }
+
+  // The stored PDF, for attaching to emails.
+  async getPdf(invoice) {
+    const stored = await this.ensureStored(invoice);
+    return storageService.get(stored.storageKey);
+  }
+
+  async list(orderId, user) {
+    await this.findOrder(orderId, user);
+
+    return prisma.invoice.findMany({
+      where: { orderId },
+      select: {
+        id: true,
+        number: true,
+        type: true,
+        refundId: true,
+        currency: true,
+        subtotal: true,
+        discount: true,
+        taxPercent: true,
+        tax: true,
+        total: true,
+        sha256: true,
+        issuedAt: true,
+      },
+      orderBy: { issuedAt: 'asc' },
+    });
+  }
+
+  async getDownloadUrl(orderId, invoiceId, user) {
+    await this.findOrder(orderId, user);
+
+    const invoice = await prisma.invoice.findFirst({ where: { id: invoiceId, orderId } });
+    if (!invoice) {
+      throw new AppError(404, 'Invoice not found');
+    }
+    await this.ensureStored(invoice);
+
+    return storageService.signedDownloadUrl(invoice.storageKey, {
+      fileName: `${invoice.number}.pdf`,
+      contentType: 'application/pdf',
+    });
+  }
+
+  async findOrder(orderId, user) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, userId: true, artistId: true },
+    });
+
+    if (!order || orderStateService.actorRoles(order, user).length === 0) {
+      throw new AppError(404, 'Order not found');
+    }
+    return order;
+  }
+}
+
+export const invoiceService = new InvoiceService();
@@ -0,0 +1,114 @@
+import PDFDocument from 'pdfkit';
+
+const PAGE_MARGIN = 50;
+const AMOUNT_WIDTH = 110;
+
+const formatAmount = (amount, currency) => {
+  const digits = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+  return `${amount.toLocaleString('en-US', digits)} ${currency}`;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Render an invoice or credit note to a PDF buffer. Everything printed comes
+ * from `document`, so the same input always renders the same content:
+ *   { title, number, issuedAt, reference?, seller: { name, address?, taxId? },
+ *     buyer: { name, email }, orderId, artist?, currency,
+ *     lines: [{ description, amount }], subtotal, discount, discountLabel?,
+ *     taxPercent, tax, total, paymentReference?, note? }
+ */
+export function renderInvoicePdf(document) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `${document.title} ${document.number}`,
+        Author: document.seller.name,
+        CreationDate: document.issuedAt,
+      },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const right = doc.page.width - PAGE_MARGIN;
+    const amountX = right - AMOUNT_WIDTH;
+    const money = (amount) => formatAmount(amount, document.currency);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).text(document.title.toUpperCase(), left, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Number: ${document.number}`);
+    doc.text(`Date: ${formatDate(document.issuedAt)}`);
+    if (document.reference) {
+      doc.text(document.reference);
+    }
+
+    // Parties
+    const partiesTop = doc.y + 20;
+    doc.font('Helvetica-Bold').text('From', left, partiesTop);
+    doc.font('Helvetica').text(document.seller.name);
+    if (document.seller.address) doc.text(document.seller.address);
+    if (document.seller.taxId) doc.text(`Tax registration no. ${document.seller.taxId}`);
+    const sellerBottom = doc.y;
+
+    const buyerX = left + (right - left) / 2;
+    doc.font('Helvetica-Bold').text('Bill to', buyerX, partiesTop);
+    doc.font('Helvetica').text(document.buyer.name, buyerX);
+    doc.text(document.buyer.email, buyerX);
+    doc.text(`Order ${document.orderId}`, buyerX);
+    if (document.artist) doc.text(`Artist: ${document.artist}`, buyerX);
+
+    // Line items
+    let y = Math.max(sellerBottom, doc.y) + 30;
+    doc.font('Helvetica-Bold');
+    doc.text('Description', left, y);
+    doc.text('Amount', amountX, y, { width: AMOUNT_WIDTH, align: 'right' });
+    y = doc.y + 4;
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 8;
+
+    doc.font('Helvetica');
+    for (const line of document.lines) {
+      doc.text(line.description, left, y, { width: amountX - left - 10 });
+      const lineBottom = doc.y;
+      doc.text(money(line.amount), amountX, y, { width: AMOUNT_WIDTH, align: 'right' });
+      y = Math.max(lineBottom, doc.y) + 6;
+    }
+    doc.moveTo(left, y).lineTo(right, y).stroke();
+    y += 10;
+
+    // Totals
+    const labelX = amountX - 200;
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, labelX, y, { width: 190, align: 'right' });
+      doc.text(value, amountX, y, { width: AMOUNT_WIDTH, align: 'right' });
+      y = doc.y + 4;
+    };
+    totalRow('Subtotal', money(document.subtotal));
+    if (document.discount > 0) {
+      totalRow(document.discountLabel || 'Discount', `-${money(document.discount)}`);
+    }
+    totalRow('Total', money(document.total), true);
+    totalRow(`Includes VAT ${document.taxPercent}%`, money(document.tax));
+
+    // Footer
+    doc.font('Helvetica').fontSize(9);
+    y += 20;
+    if (document.paymentReference) {
+      doc.text(document.paymentReference, left, y);
+      y = doc.y + 4;
+    }
+    if (document.note) {
+      doc.text(document.note, left, y, { width: right - left });
+    }
+
+    doc.end();
+  });
+}
@@ -0,0 +1,185 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { env } from '../config/env.config.js';
+import { LedgerAccount, LedgerTransactionType, PayoutBatchStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const captureKey = (paymentId) => `capture:${paymentId}`;
+
+// Every movement of money owed to artists is a balanced set of entries:
+// positive amounts credit an account, negative amounts debit it. Artist
+// balances are the sums of their ARTIST_EARNINGS and ARTIST_PAYOUTS entries.
+class LedgerService {
+  // Post a transaction inside the caller's transaction, once per key.
+  // Returns null when the key was already posted.
+  async post(tx, { key, type, memo, paymentId, payoutId, currency, entries }) {
+    const existing = await tx.ledgerTransaction.findUnique({
+      where: { key },
+      select: { id: true },
+    });
+    if (existing) {
+      return null;
+    }
+
+    const rows = entries
+      .map((entry) => ({ ...entry, amount: roundAmount(entry.amount), currency }))
+      .filter((entry) => entry.amount !== 0);
+    const imbalance = roundAmount(rows.reduce((sum, entry) => sum + entry.amount, 0));
+    if (imbalance !== 0) {
+      throw new Error(`Ledger transaction ${key} is unbalanced by ${imbalance}`);
+    }
+
+    return tx.ledgerTransaction.create({
+      data: { key, type, memo, paymentId, payoutId, entries: { create: rows } },
+      include: { entries: true },
+    });
+  }
+
+  // The artist is credited the captured amount less the platform commission,
+  // held for PAYOUT_HOLDING_DAYS before it can be paid out.
+  async recordCapture(tx, payment) {
+    const order = await tx.order.findUnique({
+      where: { id: payment.orderId },
+      select: { artistId: true },
+    });
+
+    const gross = payment.finalAmount;
+    const commission = order.artistId
+      ? roundAmount((gross * env.PLATFORM_COMMISSION_PERCENT) / 100)
+      : gross;
+    const capturedAt = payment.capturedAt || new Date();
+
+    return this.post(tx, {
+      key: captureKey(payment.id),
+      type: LedgerTransactionType.PAYMENT_CAPTURED,
+      memo: `Payment for order ${payment.orderId}`,
+      paymentId: payment.id,
+      currency: payment.currency,
+      entries: [
+        { account: LedgerAccount.PLATFORM_CASH, amount: -gross },
+        { account: LedgerAccount.PLATFORM_COMMISSION, amount: commission },
+        {
+          account: LedgerAccount.ARTIST_EARNINGS,
+          artistId: order.artistId,
+          amount: gross - commission,
+          availableAt: new Date(capturedAt.getTime() + env.PAYOUT_HOLDING_DAYS * DAY),
+        },
+      ],
+    });
+  }
+
+  // Refunds and chargebacks take back the artist's and the platform's shares
+  // in the proportions the capture was split. The artist's debit applies at
+  // once, so it is netted against the next payout.
+  async recordReversal(tx, payment, { key, type, amount, memo }) {
+    const capture = await tx.ledgerTransaction.findUnique({
+      where: { key: captureKey(payment.id) },
+      include: { entries: true },
+    });
+    if (!capture) {
+      logger.warn(`Payment ${payment.id} has no capture posting; ${key} not posted`);
+      return null;
+    }
+
+    const earnings = capture.entries.find(
+      (entry) => entry.account === LedgerAccount.ARTIST_EARNINGS
+    );
+    const artistShare = earnings
+      ? roundAmount((amount * earnings.amount) / payment.finalAmount)
+      : 0;
+
+    return this.post(tx, {
+      key,
+      type,
+      memo,
+      paymentId: payment.id,
+      currency: payment.currency,
+      entries: [
+        { account: LedgerAccount.PLATFORM_CASH, amount },
+        { account: LedgerAccount.PLATFORM_COMMISSION, amount: -(amount - artistShare) },
+        ...(earnings
+          ? [
+              {
+                account: LedgerAccount.ARTIST_EARNINGS,
+                artistId: earnings.artistId,
+                amount: -artistShare,
+              },
+            ]
+          : []),
+      ],
+    });
+  }
+
+  // Balances per currency and the artist's earnings history, newest first.
+  async getArtistEarnings(artistId, { page, limit }) {
+    const now = new Date();
+    const sumByCurrency = (account, where = {}) =>
+      prisma.ledgerEntry.groupBy({
+        by: ['currency'],
+        where: { artistId, account, ...where },
+        _sum: { amount: true },
+      });
+
+    const historyWhere = { artistId, account: LedgerAccount.ARTIST_EARNINGS };
+    const [available, held, inPayout, paidOut, entries, total] = await Promise.all([
+      sumByCurrency(LedgerAccount.ARTIST_EARNINGS, { availableAt: { lte: now } }),
+      sumByCurrency(LedgerAccount.ARTIST_EARNINGS, { availableAt: { gt: now } }),
+      sumByCurrency(LedgerAccount.ARTIST_PAYOUTS),
+      prisma.payout.groupBy({
+        by: ['currency'],
+        where: { artistId, batch: { status: PayoutBatchStatus.PAID } },
+        _sum: { amount: true },
+      }),
+      prisma.ledgerEntry.findMany({
+        where: historyWhere,
+        select: {
+          id: true,
+          amount: true,
+          currency: true,
+          availableAt: true,
+          createdAt: true,
+          transaction: { select: { type: true, memo: true, paymentId: true, payoutId: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.ledgerEntry.count({ where: historyWhere }),
+    ]);
+
+    const balances = new Map();
+    const add = (rows, field) => {
+      for (const row of rows) {
+        if (!balances.has(row.currency)) {
+          balances.set(row.currency, {
+            currency: row.currency,
+            available: 0,
+            held: 0,
+            inPayout: 0,
+            paidOut: 0,
+          });
+        }
+        balances.get(row.currency)[field] = roundAmount(row._sum.amount ?? 0);
+      }
+    };
+    add(available, 'available');
+    add(held, 'held');
+    add(inPayout, 'inPayout');
+    add(paidOut, 'paidOut');
+
+    return {
+      balances: [...balances.values()],
+      commissionPercent: env.PLATFORM_COMMISSION_PERCENT,
+      holdingDays: env.PAYOUT_HOLDING_DAYS,
+      history: entries,
+      total,
+      page,
+      limit,
+    };
+  }
+}
+
+export const ledgerService = new LedgerService();
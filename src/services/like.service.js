@@ -0,0 +1,93 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import logger from '../middleware/logger.middleware.js';
+
+const ARTIST_SELECT = { id: true, username: true, firstName: true, lastName: true };
+
+class LikeService {
+  // Idempotent: liking twice (or two racing requests) leaves a single row.
+  // ON CONFLICT DO NOTHING tells us whether this call inserted the row, so the
+  // counter only moves when the like actually changed.
+  async like(productId, userId) {
+    await this.findActiveProduct(productId);
+
+    const likeCount = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.like.createMany({
+        data: [{ userId, productId }],
+        skipDuplicates: true,
+      });
+      return this.adjustLikeCount(tx, productId, count);
+    });
+
+    logger.info(`Product ${productId} liked by user: ${userId}`);
+    return { liked: true, likeCount };
+  }
+
+  async unlike(productId, userId) {
+    const likeCount = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.like.deleteMany({ where: { userId, productId } });
+      return this.adjustLikeCount(tx, productId, -count);
+    });
+
+    if (likeCount === null) {
+      throw new AppError(404, 'Product not found');
+    }
+
+    logger.info(`Product ${productId} unliked by user: ${userId}`);
+    return { liked: false, likeCount };
+  }
+
+  async listLiked(userId, { page, limit }) {
+    const where = { userId, product: { isActive: true } };
+
+    const [likes, total] = await prisma.$transaction([
+      prisma.like.findMany({
+        where,
+        include: { product: { include: { artist: { select: ARTIST_SELECT } } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.like.count({ where }),
+    ]);
+
+    return {
+      products: likes.map(({ product, createdAt }) => ({ ...product, likedAt: createdAt })),
+      total,
+      page,
+      limit,
+    };
+  }
+
+  // Returns the current count, or null when the product does not exist.
+  async adjustLikeCount(tx, productId, delta) {
+    if (delta === 0) {
+      const product = await tx.product.findUnique({
+        where: { id: productId },
+        select: { likeCount: true },
+      });
+      return product ? product.likeCount : null;
+    }
+
+    const [product] = await tx.$queryRaw`
+      UPDATE "Product" SET "likeCount" = GREATEST("likeCount" + ${delta}, 0)
+      WHERE id = ${productId}
+      RETURNING "likeCount"
+    `;
+    return product ? product.likeCount : null;
+  }
+
+  async findActiveProduct(productId) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, isActive: true },
+      select: { id: true },
+    });
+
+    if (!product) {
+      throw new AppError(404, 'Product not found');
+    }
+    return product;
+  }
+}
+
+export const likeService = new LikeService();
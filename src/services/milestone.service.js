@@ -0,0 +1,371 @@
+import path from 'path';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { orderStateService } from './order-state.service.js';
+import { quoteService } from './quote.service.js';
+import { imageService } from './image.service.js';
+import { fileScanService } from './file-scan.service.js';
+import { storageService, Visibility } from './storage.service.js';
+import {
+  OrderStatus,
+  OrderActor,
+  OrderAction,
+  MilestoneType,
+  MilestoneStatus,
+  FileScanStatus,
+} from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Milestones always run in this order; a quote may skip the early ones.
+const MILESTONE_SEQUENCE = [MilestoneType.SKETCH, MilestoneType.LINE_ART, MilestoneType.FINAL];
+
+const DELIVERABLE_STATUSES = [MilestoneStatus.PENDING, MilestoneStatus.CHANGES_REQUESTED];
+
+const DELIVERY_SELECT = {
+  id: true,
+  version: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  note: true,
+  createdAt: true,
+  scan: { select: { status: true } },
+};
+
+class MilestoneService {
+  // Called from the START_WORK transition: one milestone per type agreed in
+  // the approved quote, each with the quote's revision limit.
+  async createForOrder(tx, order) {
+    const quote = await quoteService.getApproved(order.id, tx);
+    const types = MILESTONE_SEQUENCE.filter((type) => quote.milestones.includes(type));
+
+    await tx.milestone.createMany({
+      data: types.map((type, position) => ({
+        orderId: order.id,
+        type,
+        position,
+        revisionLimit: quote.revisionLimit,
+      })),
+      skipDuplicates: true,
+    });
+
+    return { milestones: types, revisionLimit: quote.revisionLimit };
+  }
+
+  async list(orderId, user) {
+    await this.findOrder(orderId, user);
+
+    return prisma.milestone.findMany({
+      where: { orderId },
+      include: { deliveries: { select: DELIVERY_SELECT, orderBy: { version: 'asc' } } },
+      orderBy: { position: 'asc' },
+    });
+  }
+
+  // The artist uploads a new version. The original stays private until the
+  // buyer approves; the buyer reviews a watermarked preview.
+  // The order and milestone, if the user is the artist and the milestone is
+  // next in line for a delivery.
+  async findDeliverableMilestone(orderId, milestoneId, user) {
+    const order = await this.findOrder(orderId, user);
+    const milestone = await this.findMilestone(orderId, milestoneId);
+
+    if (!orderStateService.actorRoles(order, user).includes(OrderActor.ARTIST)) {
+      throw new AppError(403, 'Only the artist can deliver work');
+    }
+    if (order.status !== OrderStatus.PROCESSING) {
+      throw new AppError(409, 'Work can only be delivered while the order is in progress');
+    }
+    if (!DELIVERABLE_STATUSES.includes(milestone.status)) {
+      throw new AppError(409, 'This milestone is not awaiting a delivery');
+    }
+
+    const earlierOpen = await prisma.milestone.count({
+      where: {
+        orderId,
+        position: { lt: milestone.position },
+        status: { not: MilestoneStatus.APPROVED },
+      },
+    });
+    if (earlierOpen > 0) {
+      throw new AppError(409, 'Earlier milestones must be approved first');
+    }
+
+    return { order, milestone };
+  }
+
+  async deliver(orderId, milestoneId, user, files, note) {
+    const { order, milestone } = await this.findDeliverableMilestone(orderId, milestoneId, user);
+
+    if (files.length !== 1) {
+      throw new AppError(400, 'Deliver exactly one file per milestone');
+    }
+    imageService.assertImages(files);
+
+    const [file] = files;
+    const folder = `orders/${orderId}/milestones/${milestoneId}`;
+    const originalKey = storageService.buildKey(Visibility.PRIVATE, folder, file.detectedType.ext);
+    const previewKey = storageService.buildKey(Visibility.PRIVATE, `${folder}/previews`, 'jpg');
+
+    const preview = await imageService.createWatermarkedPreview(
+      file.buffer,
+      `PREVIEW · ${order.artist.username}`
+    );
+    await storageService.put(originalKey, file.buffer, { contentType: file.detectedType.mime });
+    await storageService.put(previewKey, preview, { contentType: 'image/jpeg' });
+
+    let delivery;
+    try {
+      delivery = await prisma.$transaction(async (tx) => {
+        // Compare-and-set so two concurrent uploads cannot both land.
+        const { count } = await tx.milestone.updateMany({
+          where: { id: milestoneId, status: { in: DELIVERABLE_STATUSES } },
+          data: { status: MilestoneStatus.IN_REVIEW, deliveredAt: new Date() },
+        });
+        if (count === 0) {
+          throw new AppError(409, 'This milestone was changed by another request; please reload it');
+        }
+
+        const version = (await tx.milestoneDelivery.count({ where: { milestoneId } })) + 1;
+        return tx.milestoneDelivery.create({
+          data: {
+            milestoneId,
+            version,
+            originalKey,
+            previewKey,
+            fileName: path.basename(file.originalname).slice(0, 255),
+            mimeType: file.detectedType.mime,
+            size: file.buffer.length,
+            note,
+            scan: { create: {} },
+          },
+          select: { ...DELIVERY_SELECT, scanId: true },
+        });
+      });
+    } catch (error) {
+      await storageService.delete(originalKey);
+      await storageService.delete(previewKey);
+      throw error;
+    }
+
+    fileScanService.enqueue(delivery.scanId, originalKey);
+
+    logger.info(
+      `Milestone ${milestoneId} (${milestone.type}) v${delivery.version} delivered on order ${orderId}`
+    );
+    const { scanId, ...visible } = delivery;
+    return visible;
+  }
+
+  // Approving the final milestone completes the order in the same transaction.
+  async approve(orderId, milestoneId, user) {
+    const order = await this.findOrder(orderId, user);
+    const milestone = await this.findMilestone(orderId, milestoneId);
+    this.assertBuyerReview(order, milestone, user);
+
+    return prisma.$transaction((tx) => this.accept(tx, order, milestone, user));
+  }
+
+  // Each change request uses one of the revisions agreed in the quote.
+  async requestChanges(orderId, milestoneId, user, comment) {
+    const order = await this.findOrder(orderId, user);
+    const milestone = await this.findMilestone(orderId, milestoneId);
+    this.assertBuyerReview(order, milestone, user);
+
+    if (milestone.revisionCount >= milestone.revisionLimit) {
+      throw new AppError(
+        409,
+        `All ${milestone.revisionLimit} revision(s) for this milestone have been used`
+      );
+    }
+
+    const { count } = await prisma.milestone.updateMany({
+      where: {
+        id: milestoneId,
+        status: MilestoneStatus.IN_REVIEW,
+        revisionCount: milestone.revisionCount,
+      },
+      data: {
+        status: MilestoneStatus.CHANGES_REQUESTED,
+        revisionCount: { increment: 1 },
+        buyerComment: comment,
+      },
+    });
+    if (count === 0) {
+      throw new AppError(409, 'This milestone was changed by another request; please reload it');
+    }
+
+    logger.info(
+      `Changes requested on milestone ${milestoneId} (${milestone.revisionCount + 1}/${milestone.revisionLimit})`
+    );
+    return prisma.milestone.findUnique({ where: { id: milestoneId } });
+  }
+
+  // Previews are visible to both parties. The original goes to the artist and
+  // admins, and to the buyer once the milestone is approved; either way only
+  // after a clean virus scan.
+  async getDeliveryUrl(orderId, milestoneId, deliveryId, user, variant) {
+    const order = await this.findOrder(orderId, user);
+    const milestone = await this.findMilestone(orderId, milestoneId);
+
+    const delivery = await prisma.milestoneDelivery.findFirst({
+      where: { id: deliveryId, milestoneId },
+      include: { scan: { select: { status: true } } },
+    });
+    if (!delivery) {
+      throw new AppError(404, 'Delivery not found');
+    }
+
+    if (variant === 'preview') {
+      return storageService.signedDownloadUrl(delivery.previewKey, {
+        fileName: `${path.parse(delivery.fileName).name}-preview.jpg`,
+        contentType: 'image/jpeg',
+      });
+    }
+
+    const roles = orderStateService.actorRoles(order, user);
+    const mayDownload =
+      roles.includes(OrderActor.ARTIST) ||
+      roles.includes(OrderActor.ADMIN) ||
+      milestone.status === MilestoneStatus.APPROVED;
+    if (!mayDownload) {
+      throw new AppError(403, 'The original is available once the milestone is approved');
+    }
+    if (delivery.scan.status !== FileScanStatus.CLEAN) {
+      throw new AppError(
+        409,
+        delivery.scan.status === FileScanStatus.INFECTED
+          ? 'This file was blocked by the virus scanner'
+          : 'This file is still being scanned; try again shortly'
+      );
+    }
+
+    return storageService.signedDownloadUrl(delivery.originalKey, {
+      fileName: delivery.fileName,
+      contentType: delivery.mimeType,
+    });
+  }
+
+  // Final deliveries the buyer has not responded to within
+  // DELIVERY_AUTO_ACCEPT_DAYS are accepted on their behalf.
+  async autoAcceptDeliveries(now = new Date()) {
+    const cutoff = new Date(now.getTime() - env.DELIVERY_AUTO_ACCEPT_DAYS * DAY);
+    const milestones = await prisma.milestone.findMany({
+      where: {
+        type: MilestoneType.FINAL,
+        status: MilestoneStatus.IN_REVIEW,
+        deliveredAt: { lt: cutoff },
+        order: { status: OrderStatus.PROCESSING },
+        deliveries: { some: { scan: { status: FileScanStatus.CLEAN } } },
+      },
+      include: {
+        order: { select: { id: true, userId: true, artistId: true } },
+        deliveries: {
+          select: { scan: { select: { status: true } } },
+          orderBy: { version: 'desc' },
+          take: 1,
+        },
+      },
+    });
+
+    let accepted = 0;
+    // Only a delivery the scanner passed counts as delivered.
+    const ready = milestones.filter(
+      ({ deliveries: [latest] }) => latest?.scan.status === FileScanStatus.CLEAN
+    );
+    for (const milestone of ready) {
+      try {
+        await prisma.$transaction((tx) => this.accept(tx, milestone.order, milestone, null));
+        accepted += 1;
+      } catch (error) {
+        logger.error(`Auto-accepting milestone ${milestone.id} failed:`, error);
+      }
+    }
+
+    return accepted;
+  }
+
+  // A null user is the auto-accept job. Only a delivery that passed the virus
+  // scan can be accepted: an infected original is gone, and a pending one
+  // may never arrive.
+  async accept(tx, order, milestone, user) {
+    const latest = await tx.milestoneDelivery.findFirst({
+      where: { milestoneId: milestone.id },
+      orderBy: { version: 'desc' },
+      include: { scan: { select: { status: true } } },
+    });
+    if (latest?.scan.status !== FileScanStatus.CLEAN) {
+      throw new AppError(
+        409,
+        latest?.scan.status === FileScanStatus.INFECTED
+          ? 'The latest delivery was blocked by the virus scanner'
+          : 'The latest delivery is still being scanned; try again shortly'
+      );
+    }
+
+    const now = new Date();
+    const { count } = await tx.milestone.updateMany({
+      where: { id: milestone.id, status: MilestoneStatus.IN_REVIEW },
+      data: { status: MilestoneStatus.APPROVED, approvedAt: now, autoAccepted: !user },
+    });
+    if (count === 0) {
+      throw new AppError(409, 'This milestone was changed by another request; please reload it');
+    }
+
+    if (milestone.type === MilestoneType.FINAL) {
+      await orderStateService.transition(order.id, OrderAction.COMPLETE, user, {
+        tx,
+        metadata: { milestoneId: milestone.id, autoAccepted: !user },
+      });
+    }
+
+    logger.info(
+      `Milestone ${milestone.id} (${milestone.type}) on order ${order.id} ` +
+        `${user ? `approved by buyer ${user.id}` : 'auto-accepted'}`
+    );
+    return tx.milestone.findUnique({ where: { id: milestone.id } });
+  }
+
+  assertBuyerReview(order, milestone, user) {
+    if (!orderStateService.actorRoles(order, user).includes(OrderActor.BUYER)) {
+      throw new AppError(403, 'Only the buyer can review deliveries');
+    }
+    if (milestone.status !== MilestoneStatus.IN_REVIEW) {
+      throw new AppError(409, 'This milestone has no delivery awaiting review');
+    }
+  }
+
+  async findMilestone(orderId, milestoneId) {
+    const milestone = await prisma.milestone.findFirst({ where: { id: milestoneId, orderId } });
+
+    if (!milestone) {
+      throw new AppError(404, 'Milestone not found');
+    }
+    return milestone;
+  }
+
+  // Same visibility rule as OrderService.isParty, which cannot be imported
+  // here without a cycle.
+  async findOrder(orderId, user) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        userId: true,
+        artistId: true,
+        status: true,
+        artist: { select: { username: true } },
+      },
+    });
+
+    if (!order || orderStateService.actorRoles(order, user).length === 0) {
+      throw new AppError(404, 'Order not found');
+    }
+    return order;
+  }
+}
+
+export const milestoneService = new MilestoneService();
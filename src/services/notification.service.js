@@ -118,6 +118,7 @@ class NotificationService {
           to: options.to,
           subject: options.subject,
           html,
+          attachments: options.attachments,
           envelope: {
             from: this.senderEmail,
             to: options.to,
@@ -199,7 +200,108 @@ class NotificationService {
     });
   }
 
-  async sendOrderConfirmationNotification(email, orderDetails) {
+  async sendMagicLinkNotification(email, token, req) {
+    const loginLink = `${req.protocol}://${req.get(
+      'host'
+    )}/api/auth/magic-link/verify?token=${token}`;
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Your Sign-In Link',
+      template: 'magic-link',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        loginLink,
+      },
+    });
+  }
+
+  async sendEmailChangeConfirmation(email, token, req) {
+    const confirmationLink = `${req.protocol}://${req.get(
+      'host'
+    )}/api/users/me/email/confirm?token=${token}`;
+
+    return this.sendEmail({
+      to: email,
+      subject: 'Confirm Your New Email Address',
+      template: 'confirm-email-change',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        confirmationLink,
+      },
+    });
+  }
+
+  async sendEmailChangedNotice(oldEmail, newEmail) {
+    return this.sendEmail({
+      to: oldEmail,
+      subject: 'Your Email Address Was Changed',
+      template: 'email-changed',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        newEmail,
+      },
+    });
+  }
+
+  async sendDataExportNotification(email, downloadLink, expiresAt) {
+    return this.sendEmail({
+      to: email,
+      subject: 'Your Data Export Is Ready',
+      template: 'data-export',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        downloadLink,
+        expiresAt: expiresAt.toUTCString(),
+      },
+    });
+  }
+
+  async sendArtistApplicationNotification(email, { username, approved, reason }) {
+    return this.sendEmail({
+      to: email,
+      subject: approved
+        ? 'Your Artist Application Was Approved'
+        : 'Update on Your Artist Application',
+      template: 'artist-application',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        username,
+        approved,
+        reason,
+      },
+    });
+  }
+
+  async sendFollowDigestNotification(email, { username, products, announcements }) {
+    return this.sendEmail({
+      to: email,
+      subject: 'New From Artists You Follow',
+      template: 'follow-digest',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        username,
+        products,
+        announcements,
+      },
+    });
+  }
+
+  async sendRefundNotification(email, details) {
+    return this.sendEmail({
+      to: email,
+      subject: details.cancelled
+        ? `Order #${details.orderId} Was Cancelled`
+        : `Refund for Order #${details.orderId}`,
+      template: 'order-refund',
+      context: {
+        appName: env.APP_NAME || 'Our Service',
+        ...details,
+      },
+    });
+  }
+
+  async sendOrderConfirmationNotification(email, orderDetails, attachments = []) {
     return this.sendEmail({
       to: email,
       subject: 'Order Confirmation',
@@ -208,6 +310,7 @@ class NotificationService {
         appName: env.APP_NAME || 'Our Service',
         ...orderDetails,
       },
+      attachments,
     });
   }
 }
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import path from 'path';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { ALLOWED_UPLOAD_TYPES } from '../middleware/file-scanner.middleware.js';
+import { fileScanService } from './file-scan.service.js';
+import { storageService, Visibility } from './storage.service.js';
+import { orderService } from './order.service.js';
+import { detectFileType } from '../utils/fileType.js';
+import { OrderStatus, FileScanStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const MAX_ATTACHMENTS_PER_ORDER = 20;
+const MAX_FILE_SIZE = env.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024;
+const CLOSED_STATUSES = [OrderStatus.COMPLETED, OrderStatus.CANCELLED];
+
+const ATTACHMENT_SELECT = {
+  id: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  description: true,
+  uploadedById: true,
+  createdAt: true,
+  scanStatus: { select: { status: true, scannedAt: true } },
+};
+
+class OrderAttachmentService {
+  // Multipart upload: the files were already size-limited and sniffed by
+  // the acceptUploads middleware.
+  async upload(orderId, user, files, description) {
+    const order = await this.findUploadableOrder(orderId, user, files.length);
+
+    const attachments = [];
+    for (const file of files) {
+      const key = storageService.buildKey(
+        Visibility.PRIVATE,
+        `orders/${order.id}`,
+        file.detectedType.ext
+      );
+      await storageService.put(key, file.buffer, { contentType: file.detectedType.mime });
+
+      attachments.push(
+        await this.register(order, user, {
+          key,
+          buffer: file.buffer,
+          detectedType: file.detectedType,
+          fileName: file.originalname,
+          description,
+        })
+      );
+    }
+
+    logger.info(
+      `${attachments.length} attachment(s) uploaded to order ${orderId} by user: ${user.id}`
+    );
+    return attachments;
+  }
+
+  // Direct upload, step 1: hand out a short-lived signed URL the client PUTs
+  // the file to. The key is scoped to the order and the uploader.
+  async createUploadUrl(orderId, user, { contentType, size }) {
+    const order = await this.findUploadableOrder(orderId, user, 1);
+
+    if (!ALLOWED_UPLOAD_TYPES.includes(contentType)) {
+      throw new AppError(415, `Unsupported file type: ${contentType}`);
+    }
+    if (size > MAX_FILE_SIZE) {
+      throw new AppError(413, `Files must be at most ${env.UPLOAD_MAX_FILE_SIZE_MB} MB`);
+    }
+
+    const key = storageService.buildKey(
+      Visibility.PRIVATE,
+      `orders/${order.id}/uploads/${user.id}`
+    );
+    return storageService.signedUploadUrl(key, { contentType, size });
+  }
+
+  // Direct upload, step 2: verify what actually arrived, then copy it to a key
+  // of our own and register and scan that copy. The signed URL stays usable
+  // until it expires, so the upload key itself is never scanned or served.
+  async completeUpload(orderId, user, { key, fileName, description }) {
+    const order = await this.findUploadableOrder(orderId, user, 1);
+
+    const isCanonical =
+      path.posix.normalize(key) === key &&
+      key.split('/').every((segment) => segment && segment !== '.' && segment !== '..');
+    if (
+      !isCanonical ||
+      !key.startsWith(`${Visibility.PRIVATE}/orders/${order.id}/uploads/${user.id}/`)
+    ) {
+      throw new AppError(400, 'Invalid upload key');
+    }
+
+    const object = await storageService.head(key);
+    if (!object) {
+      throw new AppError(404, 'Upload not found; it may not have finished');
+    }
+    if (object.size > MAX_FILE_SIZE) {
+      await storageService.delete(key);
+      throw new AppError(413, `Files must be at most ${env.UPLOAD_MAX_FILE_SIZE_MB} MB`);
+    }
+
+    const buffer = await storageService.get(key);
+    await storageService.delete(key);
+
+    const detectedType = detectFileType(buffer);
+    if (!detectedType || !ALLOWED_UPLOAD_TYPES.includes(detectedType.mime)) {
+      throw new AppError(415, `${fileName} is not a supported image or PDF file`);
+    }
+
+    const storedKey = storageService.buildKey(
+      Visibility.PRIVATE,
+      `orders/${order.id}`,
+      detectedType.ext
+    );
+    await storageService.put(storedKey, buffer, { contentType: detectedType.mime });
+
+    const attachment = await this.register(order, user, {
+      key: storedKey,
+      buffer,
+      detectedType,
+      fileName,
+      description,
+    });
+
+    logger.info(`Attachment ${attachment.id} uploaded to order ${orderId} by user: ${user.id}`);
+    return attachment;
+  }
+
+  // Record the attachment with a PENDING scan and queue the scan.
+  async register(order, user, { key, buffer, detectedType, fileName, description }) {
+    const attachment = await prisma.orderAttachment.create({
+      data: {
+        orderId: order.id,
+        url: key,
+        description,
+        fileName: path.basename(fileName).slice(0, 255),
+        mimeType: detectedType.mime,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        uploadedById: user.id,
+        scanStatus: { create: {} },
+      },
+      select: { ...ATTACHMENT_SELECT, scanId: true },
+    });
+
+    fileScanService.enqueue(attachment.scanId, key);
+
+    const { scanId, ...visible } = attachment;
+    return visible;
+  }
+
+  async list(orderId, user) {
+    await this.findOrder(orderId, user);
+
+    return prisma.orderAttachment.findMany({
+      where: { orderId },
+      select: ATTACHMENT_SELECT,
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  // Only files that passed the virus scan are ever served, and only through
+  // short-lived signed URLs.
+  async getDownloadUrl(orderId, attachmentId, user) {
+    await this.findOrder(orderId, user);
+
+    const attachment = await prisma.orderAttachment.findFirst({
+      where: { id: attachmentId, orderId },
+      include: { scanStatus: { select: { status: true } } },
+    });
+
+    if (!attachment) {
+      throw new AppError(404, 'Attachment not found');
+    }
+    if (attachment.scanStatus.status !== FileScanStatus.CLEAN) {
+      throw new AppError(
+        409,
+        attachment.scanStatus.status === FileScanStatus.INFECTED
+          ? 'This file was blocked by the virus scanner'
+          : 'This file is still being scanned; try again shortly'
+      );
+    }
+
+    return storageService.signedDownloadUrl(attachment.url, {
+      fileName: attachment.fileName,
+      contentType: attachment.mimeType,
+    });
+  }
+
+  async delete(orderId, attachmentId, user) {
+    await this.findOrder(orderId, user);
+
+    const attachment = await prisma.orderAttachment.findFirst({
+      where: { id: attachmentId, orderId },
+      select: { id: true, url: true, scanId: true, uploadedById: true },
+    });
+
+    if (!attachment) {
+      throw new AppError(404, 'Attachment not found');
+    }
+    if (attachment.uploadedById !== user.id) {
+      throw new AppError(403, 'You can only delete files you uploaded');
+    }
+
+    await prisma.$transaction([
+      prisma.orderAttachment.delete({ where: { id: attachmentId } }),
+      prisma.fileScan.delete({ where: { id: attachment.scanId } }),
+    ]);
+    await storageService.delete(attachment.url);
+
+    logger.info(`Attachment ${attachmentId} deleted from order ${orderId} by user: ${user.id}`);
+  }
+
+  // Buyers attach reference material while the order is open.
+  async findUploadableOrder(orderId, user, incoming) {
+    const order = await this.findOrder(orderId, user);
+
+    if (order.userId !== user.id) {
+      throw new AppError(403, 'Only the buyer can attach reference files');
+    }
+    if (CLOSED_STATUSES.includes(order.status)) {
+      throw new AppError(409, 'Files cannot be attached to a closed order');
+    }
+
+    const existing = await prisma.orderAttachment.count({ where: { orderId } });
+    if (existing + incoming > MAX_ATTACHMENTS_PER_ORDER) {
+      throw new AppError(
+        400,
+        `An order can have at most ${MAX_ATTACHMENTS_PER_ORDER} attachments`
+      );
+    }
+    return order;
+  }
+
+  async findOrder(orderId, user) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, userId: true, artistId: true, status: true },
+    });
+
+    if (!order || !orderService.isParty(order, user)) {
+      throw new AppError(404, 'Order not found');
+    }
+    return order;
+  }
+}
+
+export const orderAttachmentService = new OrderAttachmentService();
@@ -0,0 +1,215 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import {
+  UserRole,
+  OrderStatus,
+  PriceStatus,
+  OrderActor,
+  OrderAction,
+  MilestoneType,
+  MilestoneStatus,
+} from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const { BUYER, ARTIST, ADMIN, SYSTEM } = OrderActor;
+
+// The only legal moves of the commission workflow. An edge applies when the
+// order matches `from` (a value or a list of allowed values per field) and the
+// actor holds one of `roles`; `to` lists the fields that change. An optional
+// `guard(tx, order)` returns a reason when a precondition outside the order
+// row is not met.
+// SYSTEM edges are taken by background processes such as payment webhooks.
+export const ORDER_TRANSITIONS = Object.freeze([
+  {
+    action: OrderAction.SUBMIT,
+    from: { status: OrderStatus.DRAFT },
+    to: { status: OrderStatus.PENDING, priceStatus: PriceStatus.PENDING },
+    roles: [BUYER],
+  },
+  {
+    action: OrderAction.QUOTE,
+    from: {
+      status: OrderStatus.PENDING,
+      priceStatus: [PriceStatus.PENDING, PriceStatus.NEEDS_REVISION, PriceStatus.QUOTED],
+    },
+    to: { priceStatus: PriceStatus.QUOTED },
+    roles: [ARTIST],
+  },
+  {
+    action: OrderAction.APPROVE_QUOTE,
+    from: { status: OrderStatus.PENDING, priceStatus: PriceStatus.QUOTED },
+    to: { priceStatus: PriceStatus.APPROVED },
+    roles: [BUYER],
+  },
+  {
+    action: OrderAction.REQUEST_REVISION,
+    from: { status: OrderStatus.PENDING, priceStatus: PriceStatus.QUOTED },
+    to: { priceStatus: PriceStatus.NEEDS_REVISION },
+    roles: [BUYER],
+  },
+  // Approved orders wait for payment; capturing it starts the work.
+  {
+    action: OrderAction.START_WORK,
+    from: { status: OrderStatus.PENDING, priceStatus: PriceStatus.APPROVED },
+    to: { status: OrderStatus.PROCESSING },
+    roles: [SYSTEM, ADMIN],
+  },
+  // Taken when the buyer accepts the final delivery, or by the auto-accept job.
+  {
+    action: OrderAction.COMPLETE,
+    from: { status: OrderStatus.PROCESSING },
+    to: { status: OrderStatus.COMPLETED },
+    roles: [BUYER, SYSTEM],
+    guard: async (tx, order) => {
+      const final = await tx.milestone.findUnique({
+        where: { orderId_type: { orderId: order.id, type: MilestoneType.FINAL } },
+        select: { status: true },
+      });
+      return final?.status === MilestoneStatus.APPROVED
+        ? null
+        : 'The final delivery has not been accepted yet';
+    },
+  },
+  // Cancelling after payment refunds what the refund policy allows; see RefundService.
+  {
+    action: OrderAction.CANCEL,
+    from: { status: [OrderStatus.DRAFT, OrderStatus.PENDING, OrderStatus.PROCESSING] },
+    to: { status: OrderStatus.CANCELLED },
+    roles: [BUYER],
+  },
+  {
+    action: OrderAction.CANCEL,
+    from: { status: [OrderStatus.PENDING, OrderStatus.PROCESSING] },
+    to: { status: OrderStatus.CANCELLED },
+    roles: [ARTIST],
+  },
+  {
+    action: OrderAction.CANCEL,
+    from: { status: [OrderStatus.DRAFT, OrderStatus.PENDING, OrderStatus.PROCESSING] },
+    to: { status: OrderStatus.CANCELLED },
+    roles: [ADMIN, SYSTEM],
+  },
+]);
+
+function matches(allowed, value) {
+  return Array.isArray(allowed) ? allowed.includes(value) : allowed === value;
+}
+
+function fromMatches(edge, order) {
+  return Object.entries(edge.from).every(([field, allowed]) => matches(allowed, order[field]));
+}
+
+class OrderStateService {
+  // The roles a user holds on a specific order. A null user is the system.
+  actorRoles(order, user) {
+    if (!user) return [SYSTEM];
+
+    const roles = [];
+    if (order.userId === user.id) roles.push(BUYER);
+    if (order.artistId === user.id) roles.push(ARTIST);
+    if (user.role === UserRole.ADMIN) roles.push(ADMIN);
+    return roles;
+  }
+
+  // Find the edge for an action, distinguishing "not now" (409) from "not you" (403).
+  resolveEdge(order, action, user) {
+    const roles = this.actorRoles(order, user);
+    const candidates = ORDER_TRANSITIONS.filter(
+      (edge) => edge.action === action && fromMatches(edge, order)
+    );
+
+    if (candidates.length === 0) {
+      throw new AppError(
+        409,
+        `Cannot ${action.toLowerCase().replace(/_/g, ' ')} an order that is ${order.status.toLowerCase()} with price ${order.priceStatus.toLowerCase()}`
+      );
+    }
+
+    for (const edge of candidates) {
+      const actorRole = edge.roles.find((role) => roles.includes(role));
+      if (actorRole) {
+        return { edge, actorRole };
+      }
+    }
+
+    throw new AppError(403, 'You are not allowed to perform this action on this order');
+  }
+
+  // Actions the user could take on the order right now.
+  availableActions(order, user) {
+    const roles = this.actorRoles(order, user);
+    const actions = ORDER_TRANSITIONS.filter(
+      (edge) => fromMatches(edge, order) && edge.roles.some((role) => roles.includes(role))
+    ).map((edge) => edge.action);
+    return [...new Set(actions)];
+  }
+
+  // Apply a transition and record it. `data` carries extra order fields that
+  // change with the edge. `effect(tx, order)` runs after the move is validated,
+  // in the same transaction, for writes that belong to it (a quote version, a
+  // payment); whatever it returns is merged into the history row's metadata.
+  // Pass `tx` to join a caller's transaction.
+  async transition(orderId, action, user, { data = {}, note, metadata, effect, tx } = {}) {
+    if (!tx) {
+      return prisma.$transaction((client) =>
+        this.transition(orderId, action, user, { data, note, metadata, effect, tx: client })
+      );
+    }
+
+    // Lock the row so side effects written alongside the transition (quotes,
+    // payments) are serialized per order.
+    await tx.$queryRaw`SELECT id FROM "Order" WHERE id = ${orderId} FOR UPDATE`;
+
+    const order = await tx.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new AppError(404, 'Order not found');
+    }
+
+    const { edge, actorRole } = this.resolveEdge(order, action, user);
+
+    const blocked = edge.guard ? await edge.guard(tx, order) : null;
+    if (blocked) {
+      throw new AppError(409, blocked);
+    }
+
+    // Compare-and-set on the state we validated against, so two concurrent
+    // requests cannot both move the order from the same state.
+    const { count } = await tx.order.updateMany({
+      where: { id: orderId, status: order.status, priceStatus: order.priceStatus },
+      data: { ...data, ...edge.to },
+    });
+
+    if (count === 0) {
+      throw new AppError(409, 'The order was changed by another request; please reload it');
+    }
+
+    const effectMetadata = effect ? await effect(tx, order) : undefined;
+    const updated = await tx.order.findUnique({ where: { id: orderId } });
+    const recordedMetadata = metadata || effectMetadata
+      ? { ...metadata, ...effectMetadata }
+      : undefined;
+
+    await tx.orderTransition.create({
+      data: {
+        orderId,
+        action,
+        fromStatus: order.status,
+        toStatus: updated.status,
+        fromPriceStatus: order.priceStatus,
+        toPriceStatus: updated.priceStatus,
+        actorId: user?.id ?? null,
+        actorRole,
+        note,
+        metadata: recordedMetadata,
+      },
+    });
+
+    logger.info(
+      `Order ${orderId}: ${action} by ${actorRole.toLowerCase()} ${user?.id ?? 'system'} ` +
+        `(${order.status}/${order.priceStatus} -> ${updated.status}/${updated.priceStatus})`
+    );
+    return updated;
+  }
+}
+
+export const orderStateService = new OrderStateService();
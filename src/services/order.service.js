@@ -0,0 +1,90 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { orderStateService } from './order-state.service.js';
+import { milestoneService } from './milestone.service.js';
+import { UserRole, OrderAction } from '../utils/constants.js';
+
+const PARTY_SELECT = { id: true, username: true, firstName: true, lastName: true };
+
+class OrderService {
+  // Orders the user is a party to, as buyer or as artist.
+  async list(user, { as, status, page, limit }) {
+    const where = {
+      ...(as === 'artist' ? { artistId: user.id } : { userId: user.id }),
+      ...(status && { status }),
+    };
+
+    const [orders, total] = await prisma.$transaction([
+      prisma.order.findMany({
+        where,
+        include: {
+          user: { select: PARTY_SELECT },
+          artist: { select: PARTY_SELECT },
+        },
+        orderBy: { updatedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.order.count({ where }),
+    ]);
+
+    return { orders, total, page, limit };
+  }
+
+  // Full order with the quote negotiation thread, its transition history and
+  // what the viewer may do next.
+  async getById(orderId, user) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        user: { select: PARTY_SELECT },
+        artist: { select: PARTY_SELECT },
+        attachments: true,
+        payment: { include: { refunds: { orderBy: { createdAt: 'asc' } } } },
+        milestones: {
+          include: {
+            deliveries: {
+              select: { id: true, version: true, fileName: true, note: true, createdAt: true },
+              orderBy: { version: 'asc' },
+            },
+          },
+          orderBy: { position: 'asc' },
+        },
+        quotes: {
+          include: { createdBy: { select: { id: true, username: true } } },
+          orderBy: { version: 'asc' },
+        },
+        transitions: {
+          include: { actor: { select: { id: true, username: true } } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!order || !this.isParty(order, user)) {
+      throw new AppError(404, 'Order not found');
+    }
+
+    return { ...order, availableActions: orderStateService.availableActions(order, user) };
+  }
+
+  // Payment capture (SYSTEM) or an admin starts the work; the milestones
+  // agreed in the approved quote are created in the same transaction.
+  startWork(orderId, user, { tx, metadata } = {}) {
+    return orderStateService.transition(orderId, OrderAction.START_WORK, user, {
+      tx,
+      metadata,
+      effect: (client, order) => milestoneService.createForOrder(client, order),
+    });
+  }
+
+  isParty(order, user) {
+    return (
+      order.userId === user.id ||
+      order.artistId === user.id ||
+      user.role === UserRole.ADMIN
+    );
+  }
+}
+
+export const orderService = new OrderService();
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ZodError, ZodIssueCode } from 'zod';
+import passwordPolicy from '../config/password-policy.config.js';
+import logger from '../middleware/logger.middleware.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class PasswordPolicyService {
+  constructor(policy = passwordPolicy) {
+    this.policy = policy;
+    this.breachedFile = path.join(__dirname, '../data/breached-passwords.txt');
+    this.breachedIndex = null;
+  }
+
+  // Collect every policy violation for a password as zod-style issues.
+  validate(password, { username, email } = {}, fieldPath = ['password']) {
+    const issues = [];
+    const addIssue = (message) =>
+      issues.push({ code: ZodIssueCode.custom, path: fieldPath, message });
+
+    if (typeof password !== 'string' || password.length === 0) {
+      addIssue('Password is required');
+      return issues;
+    }
+
+    const { policy } = this;
+
+    if (password.length < policy.minLength) {
+      addIssue(`Password must be at least ${policy.minLength} characters`);
+    }
+    if (password.length > policy.maxLength) {
+      addIssue(`Password must be at most ${policy.maxLength} characters`);
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+      addIssue('Password must contain a lowercase letter');
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+      addIssue('Password must contain an uppercase letter');
+    }
+    if (policy.requireDigit && !/\d/.test(password)) {
+      addIssue('Password must contain a digit');
+    }
+    if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+      addIssue('Password must contain a symbol');
+    }
+
+    if (policy.rejectPersonalInfo) {
+      const lowered = password.toLowerCase();
+      const personal = [username, email, email?.split('@')[0]]
+        .filter((value) => value && value.length >= 3)
+        .map((value) => value.toLowerCase());
+
+      if (personal.some((value) => lowered.includes(value))) {
+        addIssue('Password must not contain your username or email');
+      }
+    }
+
+    if (policy.checkBreached && this.isBreached(password)) {
+      addIssue('This password has appeared in a data breach; please choose another');
+    }
+
+    return issues;
+  }
+
+  // Throw a ZodError so errorHandler reports violations like any other validation failure.
+  assertValid(password, context, fieldPath) {
+    const issues = this.validate(password, context, fieldPath);
+    if (issues.length > 0) {
+      throw new ZodError(issues);
+    }
+  }
+
+  // k-anonymity style lookup: hash locally, then match the suffix within the prefix bucket.
+  isBreached(password) {
+    const index = this.loadBreachedIndex();
+    return [password, password.toLowerCase()].some((candidate) => {
+      const hash = crypto.createHash('sha1').update(candidate).digest('hex').toUpperCase();
+      return index.get(hash.slice(0, 5))?.has(hash.slice(5)) ?? false;
+    });
+  }
+
+  loadBreachedIndex() {
+    if (this.breachedIndex) {
+      return this.breachedIndex;
+    }
+
+    this.breachedIndex = new Map();
+    try {
+      const lines = fs.readFileSync(this.breachedFile, 'utf-8').split('\n');
+      for (const line of lines) {
+        if (!line || line.startsWith('#')) continue;
+        const [prefix, suffix] = line.trim().split(':');
+        if (!this.breachedIndex.has(prefix)) {
+          this.breachedIndex.set(prefix, new Set());
+        }
+        this.breachedIndex.get(prefix).add(suffix);
+      }
+      logger.info(`Loaded breached password list (${this.breachedIndex.size} prefixes)`);
+    } catch (error) {
+      logger.error('Failed to load breached password list:', error);
+    }
+
+    return this.breachedIndex;
+  }
+}
+
+export const passwordPolicyService = new PasswordPolicyService();
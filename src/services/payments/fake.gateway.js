@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { transactionHmac, verifyTransactionHmac } from './paymob.gateway.js';
+
+// Offline stand-in for Paymob for development and tests. Intentions are
+// paid through routes/payment.routes.js, which builds a callback signed
+// exactly like Paymob's and feeds it to the real webhook handler.
+export class FakeGateway {
+  constructor({ hmacSecret, checkoutBaseUrl }) {
+    this.name = 'fake';
+    // A per-process secret is enough: the fake signs its own callbacks.
+    this.hmacSecret = hmacSecret || crypto.randomBytes(32).toString('hex');
+    this.checkoutBaseUrl = checkoutBaseUrl;
+    // Authorizations awaiting capture, by transaction id.
+    this.holds = new Map();
+  }
+
+  async createIntention({ reference }) {
+    const gatewayOrderId = String(crypto.randomInt(1e8, 1e9));
+    return {
+      intentionId: `fake_${crypto.randomUUID()}`,
+      gatewayOrderId,
+      checkoutUrl: `${this.checkoutBaseUrl}/${encodeURIComponent(reference)}`,
+    };
+  }
+
+  // A transaction callback for the intention, as Paymob would send it.
+  simulateTransaction({ reference, gatewayOrderId, amountCents, currency, success, authOnly }) {
+    const transaction = {
+      id: crypto.randomInt(1e8, 1e9),
+      amount_cents: amountCents,
+      created_at: new Date().toISOString(),
+      currency,
+      error_occured: !success,
+      has_parent_transaction: false,
+      integration_id: 0,
+      is_3d_secure: true,
+      is_auth: Boolean(authOnly),
+      is_capture: false,
+      is_refunded: false,
+      is_standalone_payment: true,
+      is_voided: false,
+      order: { id: Number(gatewayOrderId), merchant_order_id: reference },
+      owner: 0,
+      pending: false,
+      source_data: { pan: '2346', sub_type: 'MasterCard', type: 'card' },
+      success,
+    };
+    if (success && authOnly) {
+      this.holds.set(String(transaction.id), transaction);
+    }
+    return { transaction, hmac: transactionHmac(transaction, this.hmacSecret) };
+  }
+
+  async capture({ transactionId, amountCents }) {
+    const hold = this.holds.get(String(transactionId));
+    if (!hold) {
+      throw new Error(`No authorization ${transactionId} to capture`);
+    }
+    this.holds.delete(String(transactionId));
+    return {
+      transaction: {
+        ...hold,
+        id: crypto.randomInt(1e8, 1e9),
+        amount_cents: amountCents,
+        created_at: new Date().toISOString(),
+        has_parent_transaction: true,
+        is_auth: false,
+        is_capture: true,
+      },
+    };
+  }
+
+  async refund() {
+    return { refundId: `fake_refund_${crypto.randomUUID()}` };
+  }
+
+  verifyTransaction(transaction, hmac) {
+    return verifyTransactionHmac(transaction, hmac, this.hmacSecret);
+  }
+}
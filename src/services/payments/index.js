@@ -0,0 +1,33 @@
+import { env } from '../../config/env.config.js';
+import { PaymobGateway } from './paymob.gateway.js';
+import { FakeGateway } from './fake.gateway.js';
+
+// Every gateway implements:
+//   createIntention({ reference, amountCents, currency, description, billing,
+//     notificationUrl, redirectionUrl }) -> { intentionId, gatewayOrderId, checkoutUrl },
+//   capture({ transactionId, amountCents }) -> { transaction },
+//   refund({ transactionId, amountCents }) -> { refundId },
+//   verifyTransaction(transaction, hmac) -> boolean
+export function createPaymentGateway(type = env.PAYMENT_GATEWAY) {
+  switch (type) {
+    case 'paymob':
+      return new PaymobGateway({
+        apiUrl: env.PAYMOB_API_URL,
+        secretKey: env.PAYMOB_SECRET_KEY,
+        publicKey: env.PAYMOB_PUBLIC_KEY,
+        hmacSecret: env.PAYMOB_HMAC_SECRET,
+        integrationIds: env.PAYMOB_INTEGRATION_IDS,
+      });
+    case 'fake':
+      // Its checkout endpoint marks payments captured without any money moving.
+      if (env.NODE_ENV === 'production') {
+        throw new Error('The fake payment gateway cannot be used in production');
+      }
+      return new FakeGateway({
+        hmacSecret: env.PAYMOB_HMAC_SECRET,
+        checkoutBaseUrl: `${env.BACKEND_URL}/api/payments/fake-checkout`,
+      });
+    default:
+      throw new Error(`Unknown payment gateway: ${type}`);
+  }
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+
+// Fields of a transaction callback covered by Paymob's HMAC, in the order
+// they are concatenated.
+const HMAC_FIELDS = [
+  'amount_cents',
+  'created_at',
+  'currency',
+  'error_occured',
+  'has_parent_transaction',
+  'id',
+  'integration_id',
+  'is_3d_secure',
+  'is_auth',
+  'is_capture',
+  'is_refunded',
+  'is_standalone_payment',
+  'is_voided',
+  'order.id',
+  'owner',
+  'pending',
+  'source_data.pan',
+  'source_data.sub_type',
+  'source_data.type',
+  'success',
+];
+
+const pick = (obj, field) => field.split('.').reduce((value, key) => value?.[key], obj);
+
+export function transactionHmac(transaction, secret) {
+  const message = HMAC_FIELDS.map((field) => String(pick(transaction, field) ?? '')).join('');
+  return crypto.createHmac('sha512', secret).update(message).digest('hex');
+}
+
+export function verifyTransactionHmac(transaction, hmac, secret) {
+  if (!secret || typeof hmac !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(transactionHmac(transaction, secret));
+  const received = Buffer.from(hmac.toLowerCase());
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Paymob Accept through the Intention API and unified checkout.
+export class PaymobGateway {
+  constructor({ apiUrl, secretKey, publicKey, hmacSecret, integrationIds }) {
+    this.name = 'paymob';
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.secretKey = secretKey;
+    this.publicKey = publicKey;
+    this.hmacSecret = hmacSecret;
+    this.integrationIds = integrationIds;
+  }
+
+  async request(path, body) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Token ${this.secretKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(15000),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `Paymob ${path} failed with ${response.status}: ${data.detail || JSON.stringify(data)}`
+      );
+    }
+    return data;
+  }
+
+  async createIntention({
+    reference,
+    amountCents,
+    currency,
+    description,
+    billing,
+    notificationUrl,
+    redirectionUrl,
+  }) {
+    const intention = await this.request('/v1/intention/', {
+      amount: amountCents,
+      currency,
+      payment_methods: this.integrationIds,
+      items: [{ name: description, amount: amountCents, quantity: 1 }],
+      billing_data: billing,
+      special_reference: reference,
+      notification_url: notificationUrl,
+      redirection_url: redirectionUrl,
+    });
+
+    const query = new URLSearchParams({
+      publicKey: this.publicKey,
+      clientSecret: intention.client_secret,
+    });
+    return {
+      intentionId: String(intention.id),
+      gatewayOrderId: String(intention.intention_order_id),
+      checkoutUrl: `${this.apiUrl}/unifiedcheckout/?${query}`,
+    };
+  }
+
+  // Capture an authorization. The capture transaction comes back shaped like
+  // a transaction callback; Paymob also delivers it to the webhook.
+  async capture({ transactionId, amountCents }) {
+    const transaction = await this.request('/api/acceptance/capture', {
+      transaction_id: transactionId,
+      amount_cents: amountCents,
+    });
+
+    if (!transaction.success) {
+      throw new Error(
+        `Paymob declined the capture: ${transaction.data?.message || 'unknown reason'}`
+      );
+    }
+    return { transaction };
+  }
+
+  // Refund part or all of a captured transaction.
+  async refund({ transactionId, amountCents }) {
+    const result = await this.request('/api/acceptance/void_refund/refund', {
+      transaction_id: transactionId,
+      amount_cents: amountCents,
+    });
+
+    if (!result.success) {
+      throw new Error(`Paymob declined the refund: ${result.data?.message || 'unknown reason'}`);
+    }
+    return { refundId: String(result.id) };
+  }
+
+  verifyTransaction(transaction, hmac) {
+    return verifyTransactionHmac(transaction, hmac, this.hmacSecret);
+  }
+}
@@ -0,0 +1,423 @@
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { createPaymentGateway } from './payments/index.js';
+import { orderService } from './order.service.js';
+import { orderStateService } from './order-state.service.js';
+import { quoteService } from './quote.service.js';
+import { notificationService } from './notification.service.js';
+import { ledgerService } from './ledger.service.js';
+import { invoiceService } from './invoice.service.js';
+import { refundService } from './refund.service.js';
+import {
+  OrderStatus,
+  PriceStatus,
+  OrderAction,
+  OrderActor,
+  PaymentStatus,
+  DiscountType,
+} from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+// A payment in one of these states can start a new checkout attempt.
+const RETRYABLE_STATUSES = [PaymentStatus.PENDING, PaymentStatus.FAILED];
+
+const toCents = (amount) => Math.round(amount * 100);
+
+class PaymobService {
+  constructor(gateway = createPaymentGateway()) {
+    this.gateway = gateway;
+  }
+
+  // The buyer starts (or restarts) checkout for an order whose quote they
+  // approved. The price is locked from the approved quote, less any discount.
+  async createIntention(orderId, user) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        user: { select: { email: true, username: true, firstName: true, lastName: true } },
+        discount: true,
+        payment: { select: { id: true, status: true } },
+      },
+    });
+
+    if (!order || !orderService.isParty(order, user)) {
+      throw new AppError(404, 'Order not found');
+    }
+    if (order.userId !== user.id) {
+      throw new AppError(403, 'Only the buyer can pay for this order');
+    }
+    if (order.status !== OrderStatus.PENDING || order.priceStatus !== PriceStatus.APPROVED) {
+      throw new AppError(409, 'Only orders with an approved quote awaiting payment can be paid');
+    }
+    if (order.payment?.status === PaymentStatus.AUTHORIZED) {
+      throw new AppError(409, 'Payment for this order is authorized and awaiting capture');
+    }
+    if (order.payment && !RETRYABLE_STATUSES.includes(order.payment.status)) {
+      throw new AppError(409, 'This order has already been paid');
+    }
+
+    const quote = await quoteService.getApproved(orderId);
+    const amount = this.applyDiscount(quote.amount, order.discount);
+    const pricing = {
+      quoteId: quote.id,
+      quotedAmount: quote.amount,
+      finalAmount: amount,
+      currency: quote.currency,
+      provider: this.gateway.name,
+    };
+
+    let payment;
+    if (order.payment) {
+      // Compare-and-set so a capture arriving meanwhile is never overwritten.
+      const { count } = await prisma.payment.updateMany({
+        where: { id: order.payment.id, status: { in: RETRYABLE_STATUSES } },
+        data: { ...pricing, status: PaymentStatus.PENDING },
+      });
+      if (count === 0) {
+        throw new AppError(409, 'This order has already been paid');
+      }
+      payment = { id: order.payment.id };
+    } else {
+      payment = await prisma.payment.create({ data: { orderId, ...pricing } });
+    }
+
+    const reference = `${payment.id}_${crypto.randomBytes(4).toString('hex')}`;
+    const intention = await this.gateway.createIntention({
+      reference,
+      amountCents: toCents(amount),
+      currency: quote.currency,
+      description: `Commission order ${orderId}`,
+      billing: {
+        first_name: order.user.firstName || order.user.username,
+        last_name: order.user.lastName || 'NA',
+        email: order.user.email,
+        phone_number: 'NA',
+      },
+      notificationUrl: `${env.BACKEND_URL}/api/payments/paymob/webhook`,
+      redirectionUrl: `${env.BASE_URL}/orders/${orderId}`,
+    });
+
+    await prisma.paymentIntention.create({
+      data: {
+        paymentId: payment.id,
+        reference,
+        intentionId: intention.intentionId,
+        gatewayOrderId: intention.gatewayOrderId,
+        amount,
+        currency: quote.currency,
+      },
+    });
+
+    logger.info(`Payment intention ${intention.intentionId} created for order ${orderId}`);
+    return {
+      paymentId: payment.id,
+      amount,
+      currency: quote.currency,
+      checkoutUrl: intention.checkoutUrl,
+    };
+  }
+
+  // Transaction callback from the gateway. Only callbacks with a valid HMAC
+  // are acted on, and each (transaction, status) pair is applied once, so
+  // redelivered webhooks are harmless.
+  async handleTransactionCallback(body, hmac) {
+    const transaction = body?.obj;
+    if (body?.type !== 'TRANSACTION' || !transaction) {
+      return { handled: false };
+    }
+    if (!this.gateway.verifyTransaction(transaction, hmac)) {
+      logger.warn(`Rejected payment callback with an invalid HMAC (transaction ${transaction.id})`);
+      throw new AppError(401, 'Invalid callback signature');
+    }
+
+    const status = this.statusOf(transaction);
+    if (!status) {
+      return { handled: false };
+    }
+
+    const intention = await prisma.paymentIntention.findUnique({
+      where: { gatewayOrderId: String(transaction.order?.id) },
+    });
+    if (!intention) {
+      logger.error(
+        `Payment callback for unknown gateway order ${transaction.order?.id} (transaction ${transaction.id})`
+      );
+      return { handled: false };
+    }
+
+    const outcome = await prisma.$transaction((tx) =>
+      this.applyTransaction(tx, intention, transaction, status)
+    );
+    this.followUp(intention, outcome);
+    return { handled: true };
+  }
+
+  // Capture an authorized hold in full. The capture is applied from the
+  // gateway's response; its webhook callback is then a duplicate.
+  async capture(intention, authorizationId) {
+    const { transaction } = await this.gateway.capture({
+      transactionId: authorizationId,
+      amountCents: toCents(intention.amount),
+    });
+
+    const status = this.statusOf(transaction);
+    const outcome = await prisma.$transaction((tx) =>
+      this.applyTransaction(tx, intention, transaction, status)
+    );
+    this.followUp(intention, outcome);
+  }
+
+  followUp(intention, outcome) {
+    if (outcome?.capture) {
+      this.capture(intention, outcome.capture).catch((error) => {
+        logger.error(
+          `Capturing authorization ${outcome.capture} of payment ${intention.paymentId} failed:`,
+          error
+        );
+      });
+    }
+    if (outcome?.confirm) {
+      this.sendConfirmation(intention.paymentId).catch((error) => {
+        logger.error(`Order confirmation for payment ${intention.paymentId} failed:`, error);
+      });
+    }
+    if (outcome?.refundId) {
+      refundService.process(outcome.refundId, { cancelled: outcome.cancelled }).catch((error) => {
+        logger.error(`Refund ${outcome.refundId} of payment ${intention.paymentId} failed:`, error);
+      });
+    }
+  }
+
+  // Returns what to follow up on once the transaction commits: { capture }
+  // with the transaction to capture when the payment was authorized,
+  // { confirm } when it was captured for the order, { refundId, cancelled }
+  // when it was captured for an order that can no longer take it, or null.
+  async applyTransaction(tx, intention, transaction, status) {
+    await tx.$queryRaw`SELECT id FROM "Payment" WHERE id = ${intention.paymentId} FOR UPDATE`;
+    const payment = await tx.payment.findUnique({ where: { id: intention.paymentId } });
+
+    const transactionId = String(transaction.id);
+    const { count } = await tx.paymentEvent.createMany({
+      data: [
+        {
+          paymentId: payment.id,
+          eventKey: `${transactionId}:${status}`,
+          transactionId,
+          status,
+          amount: transaction.amount_cents / 100,
+          payload: transaction,
+        },
+      ],
+      skipDuplicates: true,
+    });
+    if (count === 0) {
+      logger.info(`Payment callback ${transactionId}:${status} already processed`);
+      return null;
+    }
+
+    // Outcomes of other attempts never downgrade a settled payment. An
+    // authorized payment only moves on when the hold is captured.
+    const capturesHold =
+      payment.status === PaymentStatus.AUTHORIZED && status === PaymentStatus.CAPTURED;
+    if (!RETRYABLE_STATUSES.includes(payment.status) && !capturesHold) {
+      if (status === PaymentStatus.CAPTURED) {
+        logger.error(
+          `Payment ${payment.id} is already ${payment.status.toLowerCase()} but transaction ${transactionId} also succeeded; refund it manually`
+        );
+      }
+      return null;
+    }
+
+    if (status === PaymentStatus.FAILED) {
+      await tx.payment.update({ where: { id: payment.id }, data: { status } });
+      logger.info(`Payment ${payment.id} failed (transaction ${transactionId})`);
+      return null;
+    }
+
+    if (
+      transaction.amount_cents !== toCents(intention.amount) ||
+      transaction.currency !== intention.currency
+    ) {
+      logger.error(
+        `Payment ${payment.id}: transaction ${transactionId} charged ${transaction.amount_cents} ${transaction.currency}, expected ${toCents(intention.amount)} ${intention.currency}`
+      );
+      return null;
+    }
+
+    const updated = await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        status,
+        transactionId,
+        finalAmount: intention.amount,
+        paymentMethod: transaction.source_data?.sub_type || transaction.source_data?.type,
+        ...(status === PaymentStatus.CAPTURED && { capturedAt: new Date() }),
+      },
+    });
+
+    if (status === PaymentStatus.AUTHORIZED) {
+      logger.info(`Payment ${payment.id} authorized (transaction ${transactionId})`);
+      return { capture: transactionId };
+    }
+
+    // Money for an order that was cancelled (or otherwise moved on) during
+    // checkout is never booked; it goes straight back to the buyer.
+    const order = await tx.order.findUnique({ where: { id: payment.orderId } });
+    if (!orderStateService.availableActions(order, null).includes(OrderAction.START_WORK)) {
+      const refund = await refundService.reserve(tx, updated, {
+        amount: updated.finalAmount,
+        reason: `Payment arrived for an order already ${order.status.toLowerCase()}`,
+        requestedById: null,
+        actorRole: OrderActor.SYSTEM,
+      });
+      logger.warn(
+        `Payment ${payment.id} captured for order ${order.id} in status ${order.status}; refunding it`
+      );
+      return { refundId: refund.id, cancelled: order.status === OrderStatus.CANCELLED };
+    }
+
+    await ledgerService.recordCapture(tx, updated);
+    await this.startWork(tx, order, payment, transactionId);
+    logger.info(`Payment ${payment.id} captured (transaction ${transactionId})`);
+    return { confirm: true };
+  }
+
+  async startWork(tx, order, payment, transactionId) {
+    await orderService.startWork(order.id, null, {
+      tx,
+      metadata: { paymentId: payment.id, transactionId },
+    });
+
+    if (order.discountId) {
+      const used = await tx.discountUse.findFirst({
+        where: { orderId: order.id, discountId: order.discountId },
+        select: { id: true },
+      });
+      if (!used) {
+        await tx.discountUse.create({
+          data: { discountId: order.discountId, orderId: order.id, userId: order.userId },
+        });
+      }
+    }
+  }
+
+  // Reverse part or all of a captured payment at the gateway. Bookkeeping
+  // is up to the caller; see RefundService.
+  refund(payment, amount) {
+    if (!payment.transactionId) {
+      throw new Error(`Payment ${payment.id} has no captured transaction to refund`);
+    }
+    return this.gateway.refund({
+      transactionId: payment.transactionId,
+      amountCents: toCents(amount),
+    });
+  }
+
+  // Map a gateway transaction to the payment status it represents. Pending
+  // transactions and refund/void callbacks are not payment outcomes; refunds
+  // are recorded from the gateway's response when they are issued.
+  statusOf(transaction) {
+    if (
+      transaction.pending ||
+      transaction.is_refund ||
+      transaction.is_void ||
+      transaction.is_refunded ||
+      transaction.is_voided
+    ) {
+      return null;
+    }
+    if (!transaction.success) {
+      return PaymentStatus.FAILED;
+    }
+    return transaction.is_auth ? PaymentStatus.AUTHORIZED : PaymentStatus.CAPTURED;
+  }
+
+  // Inactive, expired or below-minimum discounts are ignored.
+  applyDiscount(amount, discount) {
+    const now = new Date();
+    const applies =
+      discount?.isActive &&
+      (!discount.startDate || discount.startDate <= now) &&
+      (!discount.endDate || discount.endDate >= now) &&
+      (!discount.minOrder || amount >= discount.minOrder);
+    if (!applies) {
+      return amount;
+    }
+
+    const reduction = discount.type === DiscountType.PERCENTAGE
+      ? (amount * discount.value) / 100
+      : discount.value;
+    return Math.max(0, Math.round((amount - reduction) * 100) / 100);
+  }
+
+  async sendConfirmation(paymentId) {
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: {
+        order: { select: { id: true, status: true, user: { select: { email: true } } } },
+      },
+    });
+
+    // The confirmation still goes out if the invoice cannot be issued yet.
+    let invoice = null;
+    const attachments = [];
+    try {
+      const issued = await invoiceService.issueForPayment(paymentId);
+      attachments.push({
+        filename: `${issued.number}.pdf`,
+        content: await invoiceService.getPdf(issued),
+        contentType: 'application/pdf',
+      });
+      invoice = issued;
+    } catch (error) {
+      logger.error(`Invoice for payment ${paymentId} failed:`, error);
+    }
+
+    await notificationService.sendOrderConfirmationNotification(
+      payment.order.user.email,
+      {
+        orderId: payment.order.id,
+        total: payment.finalAmount.toFixed(2),
+        currency: payment.currency,
+        status: payment.order.status,
+        invoiceNumber: invoice?.number,
+      },
+      attachments
+    );
+  }
+
+  // Fake gateway only: complete checkout for an intention as if the buyer
+  // had paid (or failed to) on the gateway's page.
+  async simulateCheckout(reference, user, outcome) {
+    if (this.gateway.name !== 'fake') {
+      throw new AppError(404, 'Not found');
+    }
+
+    const intention = await prisma.paymentIntention.findUnique({
+      where: { reference },
+      include: { payment: { select: { order: { select: { userId: true } } } } },
+    });
+    if (!intention || intention.payment.order.userId !== user.id) {
+      throw new AppError(404, 'Payment intention not found');
+    }
+
+    const { transaction, hmac } = this.gateway.simulateTransaction({
+      reference,
+      gatewayOrderId: intention.gatewayOrderId,
+      amountCents: toCents(intention.amount),
+      currency: intention.currency,
+      success: outcome !== 'failure',
+      authOnly: outcome === 'authorized',
+    });
+    await this.handleTransactionCallback({ type: 'TRANSACTION', obj: transaction }, hmac);
+
+    return prisma.payment.findUnique({
+      where: { id: intention.paymentId },
+      select: { id: true, orderId: true, status: true, transactionId: true, finalAmount: true },
+    });
+  }
+}
+
+export const paymobService = new PaymobService();
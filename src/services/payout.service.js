@@ -0,0 +1,244 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { ledgerService } from './ledger.service.js';
+import { LedgerAccount, LedgerTransactionType, PayoutBatchStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+// Arbitrary key for the advisory lock that serializes batch creation.
+const PAYOUT_BATCH_LOCK = 724001;
+
+const CSV_COLUMNS = ['beneficiary_name', 'bank_name', 'iban', 'amount', 'currency', 'reference'];
+
+// Quote every field, and defuse values a spreadsheet would run as a formula.
+const csvField = (value) => {
+  const text = String(value ?? '');
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+const ACCOUNT_SELECT = { accountName: true, bankName: true, iban: true, updatedAt: true };
+
+class PayoutService {
+  async getAccount(userId) {
+    return prisma.payoutAccount.findUnique({ where: { userId }, select: ACCOUNT_SELECT });
+  }
+
+  async updateAccount(userId, data) {
+    const account = await prisma.payoutAccount.upsert({
+      where: { userId },
+      create: { userId, ...data },
+      update: data,
+      select: ACCOUNT_SELECT,
+    });
+
+    logger.info(`Payout account updated by artist: ${userId}`);
+    return account;
+  }
+
+  // Move every artist's eligible balance (earnings past the holding period,
+  // net of refunds) into a new batch. Artists without a payout account are
+  // left out and keep their balance. A null admin is the scheduled job.
+  async createBatch(admin, { currency = env.DEFAULT_CURRENCY } = {}) {
+    const result = await prisma.$transaction(
+      async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(${PAYOUT_BATCH_LOCK})`;
+
+        const balances = await tx.ledgerEntry.groupBy({
+          by: ['artistId'],
+          where: {
+            account: LedgerAccount.ARTIST_EARNINGS,
+            currency,
+            availableAt: { lte: new Date() },
+          },
+          _sum: { amount: true },
+        });
+        const eligible = balances.filter((row) => row.artistId && row._sum.amount > 0);
+        if (eligible.length === 0) {
+          return { batch: null, skipped: [] };
+        }
+
+        const accounts = await tx.payoutAccount.findMany({
+          where: { userId: { in: eligible.map((row) => row.artistId) } },
+        });
+        const accountsByArtist = new Map(accounts.map((account) => [account.userId, account]));
+        const payable = eligible.filter((row) => accountsByArtist.has(row.artistId));
+        const skipped = eligible
+          .filter((row) => !accountsByArtist.has(row.artistId))
+          .map((row) => row.artistId);
+        if (payable.length === 0) {
+          return { batch: null, skipped };
+        }
+
+        const batch = await tx.payoutBatch.create({
+          data: { currency, total: 0, createdById: admin?.id ?? null },
+        });
+
+        let total = 0;
+        for (const row of payable) {
+          const amount = Math.round(row._sum.amount * 100) / 100;
+          const { accountName, bankName, iban } = accountsByArtist.get(row.artistId);
+          const payout = await tx.payout.create({
+            data: {
+              batchId: batch.id,
+              artistId: row.artistId,
+              amount,
+              currency,
+              accountName,
+              bankName,
+              iban,
+            },
+          });
+
+          await ledgerService.post(tx, {
+            key: `payout-lock:${payout.id}`,
+            type: LedgerTransactionType.PAYOUT_LOCKED,
+            memo: `Payout batch ${batch.id}`,
+            payoutId: payout.id,
+            currency,
+            entries: [
+              { account: LedgerAccount.ARTIST_EARNINGS, artistId: row.artistId, amount: -amount },
+              { account: LedgerAccount.ARTIST_PAYOUTS, artistId: row.artistId, amount },
+            ],
+          });
+          total += amount;
+        }
+
+        const updated = await tx.payoutBatch.update({
+          where: { id: batch.id },
+          data: { total: Math.round(total * 100) / 100 },
+        });
+        return { batch: { ...updated, payoutCount: payable.length }, skipped };
+      },
+      { timeout: 60000 }
+    );
+
+    if (result.batch) {
+      logger.info(
+        `Payout batch ${result.batch.id} locked ${result.batch.payoutCount} payout(s) ` +
+          `totalling ${result.batch.total} ${currency}`
+      );
+    }
+    if (result.skipped.length > 0) {
+      logger.warn(`${result.skipped.length} artist(s) skipped for lack of a payout account`);
+    }
+    return result;
+  }
+
+  async listBatches({ status, page, limit }) {
+    const where = status ? { status } : {};
+
+    const [batches, total] = await prisma.$transaction([
+      prisma.payoutBatch.findMany({
+        where,
+        include: { _count: { select: { payouts: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.payoutBatch.count({ where }),
+    ]);
+
+    return { batches, total, page, limit };
+  }
+
+  async getBatch(batchId) {
+    const batch = await prisma.payoutBatch.findUnique({
+      where: { id: batchId },
+      include: {
+        payouts: {
+          include: { artist: { select: { id: true, username: true, email: true } } },
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!batch) {
+      throw new AppError(404, 'Payout batch not found');
+    }
+    return batch;
+  }
+
+  // Bank-transfer file for the batch, one row per payout.
+  async exportCsv(batchId, admin) {
+    const batch = await this.getBatch(batchId);
+
+    const rows = batch.payouts.map((payout) =>
+      [
+        payout.accountName,
+        payout.bankName,
+        payout.iban,
+        payout.amount.toFixed(2),
+        payout.currency,
+        `payout-${payout.id}`,
+      ]
+        .map(csvField)
+        .join(',')
+    );
+    const csv = [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+
+    if (batch.status === PayoutBatchStatus.LOCKED) {
+      await prisma.payoutBatch.updateMany({
+        where: { id: batchId, status: PayoutBatchStatus.LOCKED },
+        data: { status: PayoutBatchStatus.EXPORTED, exportedAt: new Date() },
+      });
+    }
+
+    logger.info(`Payout batch ${batchId} exported by admin: ${admin.id}`);
+    return {
+      fileName: `payout-batch-${batch.createdAt.toISOString().slice(0, 10)}-${batch.id}.csv`,
+      csv,
+    };
+  }
+
+  // Once the bank transfers went out, the locked amounts leave the platform.
+  async markPaid(batchId, admin) {
+    const batch = await prisma.$transaction(
+      async (tx) => {
+        const { count } = await tx.payoutBatch.updateMany({
+          where: {
+            id: batchId,
+            status: { in: [PayoutBatchStatus.LOCKED, PayoutBatchStatus.EXPORTED] },
+          },
+          data: { status: PayoutBatchStatus.PAID, paidAt: new Date() },
+        });
+        if (count === 0) {
+          const exists = await tx.payoutBatch.findUnique({
+            where: { id: batchId },
+            select: { id: true },
+          });
+          throw exists
+            ? new AppError(409, 'This payout batch has already been paid')
+            : new AppError(404, 'Payout batch not found');
+        }
+
+        const payouts = await tx.payout.findMany({ where: { batchId } });
+        for (const payout of payouts) {
+          await ledgerService.post(tx, {
+            key: `payout-paid:${payout.id}`,
+            type: LedgerTransactionType.PAYOUT_PAID,
+            memo: `Payout batch ${batchId}`,
+            payoutId: payout.id,
+            currency: payout.currency,
+            entries: [
+              {
+                account: LedgerAccount.ARTIST_PAYOUTS,
+                artistId: payout.artistId,
+                amount: -payout.amount,
+              },
+              { account: LedgerAccount.PLATFORM_CASH, amount: payout.amount },
+            ],
+          });
+        }
+
+        return tx.payoutBatch.findUnique({ where: { id: batchId } });
+      },
+      { timeout: 60000 }
+    );
+
+    logger.info(`Payout batch ${batchId} marked paid by admin: ${admin.id}`);
+    return batch;
+  }
+}
+
+export const payoutService = new PayoutService();
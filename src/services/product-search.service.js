@@ -0,0 +1,145 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+
+const SEARCH_CONFIG = 'english';
+
+// Title matches rank above description matches.
+const SEARCH_DOCUMENT = Prisma.sql`
+  setweight(to_tsvector(${SEARCH_CONFIG}::regconfig, coalesce(title, '')), 'A') ||
+  setweight(to_tsvector(${SEARCH_CONFIG}::regconfig, coalesce(description, '')), 'B')
+`;
+
+// Keyset columns for each sort. The id is always the tie-breaker.
+const SORTS = {
+  relevance: { column: 'rank', direction: 'desc' },
+  newest: { column: 'createdAt', direction: 'desc' },
+  price_asc: { column: 'basePrice', direction: 'asc' },
+  price_desc: { column: 'basePrice', direction: 'desc' },
+  most_liked: { column: 'likeCount', direction: 'desc' },
+};
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort value and id.
+function encodeCursor(sort, row) {
+  const value = row[SORTS[sort].column];
+  const payload = {
+    s: sort,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: row.id,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sort || payload.v === undefined || typeof payload.id !== 'string') {
+      throw new Error('Cursor does not match the requested sort');
+    }
+    return payload;
+  } catch (error) {
+    throw new AppError(400, 'Invalid cursor');
+  }
+}
+
+// attr[materials]=canvas matches both "canvas" and ["canvas", ...]; numeric values
+// also match numbers. Several values for one key are OR-ed, several keys AND-ed.
+function attributeConditions(attributes = {}) {
+  return Object.entries(attributes).map(([key, values]) => {
+    const alternatives = [values].flat().flatMap((value) => {
+      const candidates = [Prisma.sql`(p."attributes" -> ${key}) @> to_jsonb(${value}::text)`];
+      if (value !== '' && !Number.isNaN(Number(value))) {
+        candidates.push(
+          Prisma.sql`(p."attributes" -> ${key}) @> to_jsonb(${Number(value)}::numeric)`
+        );
+      }
+      return candidates;
+    });
+    return Prisma.sql`(${Prisma.join(alternatives, ' OR ')})`;
+  });
+}
+
+class ProductSearchService {
+  async search({ q, artistId, minPrice, maxPrice, attr, sort, cursor, limit }) {
+    const sortKey = sort || (q ? 'relevance' : 'newest');
+    if (sortKey === 'relevance' && !q) {
+      throw new AppError(400, 'Relevance sorting requires a search query');
+    }
+
+    const query = q
+      ? Prisma.sql`websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${q})`
+      : null;
+
+    const conditions = [Prisma.sql`p."isActive" = true`];
+    if (query) conditions.push(Prisma.sql`p."searchVector" @@ ${query}`);
+    if (artistId) conditions.push(Prisma.sql`p."artistId" = ${artistId}`);
+    if (minPrice !== undefined) conditions.push(Prisma.sql`p."basePrice" >= ${minPrice}`);
+    if (maxPrice !== undefined) conditions.push(Prisma.sql`p."basePrice" <= ${maxPrice}`);
+    conditions.push(...attributeConditions(attr));
+
+    const rank = query
+      ? Prisma.sql`ts_rank(p."searchVector", ${query})::float8`
+      : Prisma.sql`0::float8`;
+
+    const { column, direction } = SORTS[sortKey];
+    const sortColumn = Prisma.raw(`"${column}"`);
+    const order = Prisma.raw(direction === 'desc' ? 'DESC' : 'ASC');
+
+    let keyset = Prisma.empty;
+    if (cursor) {
+      const { v, id } = decodeCursor(cursor, sortKey);
+      const value = column === 'createdAt' ? Prisma.sql`${v}::timestamp` : Prisma.sql`${v}`;
+      keyset = direction === 'desc'
+        ? Prisma.sql`WHERE (${sortColumn}, id) < (${value}, ${id})`
+        : Prisma.sql`WHERE (${sortColumn}, id) > (${value}, ${id})`;
+    }
+
+    // Fetch one extra row to know whether another page exists.
+    const rows = await prisma.$queryRaw`
+      WITH matches AS (
+        SELECT p.id, p."createdAt", p."basePrice", p."likeCount", ${rank} AS rank
+        FROM "Product" p
+        WHERE ${Prisma.join(conditions, ' AND ')}
+      )
+      SELECT id, "createdAt", "basePrice", "likeCount", rank
+      FROM matches
+      ${keyset}
+      ORDER BY ${sortColumn} ${order}, id ${order}
+      LIMIT ${limit + 1}
+    `;
+
+    const page = rows.slice(0, limit);
+    const nextCursor = rows.length > limit
+      ? encodeCursor(sortKey, page[page.length - 1])
+      : null;
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: page.map((row) => row.id) } },
+      include: {
+        artist: { select: { id: true, username: true, firstName: true, lastName: true } },
+      },
+    });
+    const byId = new Map(products.map((product) => [product.id, product]));
+
+    return {
+      products: page.map((row) => byId.get(row.id)).filter(Boolean),
+      nextCursor,
+      sort: sortKey,
+    };
+  }
+
+  // Recompute the stored search document for one product.
+  // Accepts a transaction client so it can run alongside the write it follows.
+  refreshSearchVector(productId, client = prisma) {
+    return client.$executeRaw`
+      UPDATE "Product" SET "searchVector" = ${SEARCH_DOCUMENT} WHERE id = ${productId}
+    `;
+  }
+
+  // Backfill every product, e.g. after the column is first added.
+  rebuildSearchIndex() {
+    return prisma.$executeRaw`UPDATE "Product" SET "searchVector" = ${SEARCH_DOCUMENT}`;
+  }
+}
+
+export const productSearchService = new ProductSearchService();
@@ -0,0 +1,125 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { UserRole } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+import { productSearchService } from './product-search.service.js';
+
+// Public view of the owning artist.
+const ARTIST_SELECT = { id: true, username: true, firstName: true, lastName: true };
+
+class ProductService {
+  async create(user, { artistId, ...data }) {
+    let ownerId = user.id;
+
+    if (artistId && artistId !== user.id) {
+      if (user.role !== UserRole.ADMIN) {
+        throw new AppError(403, 'You can only create products for yourself');
+      }
+      const artist = await prisma.user.findFirst({
+        where: { id: artistId, role: UserRole.ARTIST, deletedAt: null },
+        select: { id: true },
+      });
+      if (!artist) {
+        throw new AppError(404, 'Artist not found');
+      }
+      ownerId = artist.id;
+    }
+
+    const product = await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({
+        data: {
+          ...data,
+          attributes: data.attributes ?? Prisma.JsonNull,
+          artistId: ownerId,
+        },
+        include: { artist: { select: ARTIST_SELECT } },
+      });
+      await productSearchService.refreshSearchVector(created.id, tx);
+      return created;
+    });
+
+    logger.info(`Product ${product.id} created for artist: ${ownerId}`);
+    return product;
+  }
+
+  // Inactive products are only visible to their artist and admins.
+  async getById(productId, user) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: { artist: { select: ARTIST_SELECT } },
+    });
+
+    if (!product || (!product.isActive && !this.canManage(product, user))) {
+      throw new AppError(404, 'Product not found');
+    }
+    return product;
+  }
+
+  async update(productId, user, updates) {
+    await this.findManageable(productId, user);
+
+    const product = await prisma.$transaction(async (tx) => {
+      const updated = await tx.product.update({
+        where: { id: productId },
+        data: {
+          ...updates,
+          ...(updates.attributes === null && { attributes: Prisma.JsonNull }),
+        },
+        include: { artist: { select: ARTIST_SELECT } },
+      });
+      if (updates.title !== undefined || updates.description !== undefined) {
+        await productSearchService.refreshSearchVector(productId, tx);
+      }
+      return updated;
+    });
+
+    logger.info(`Product ${productId} updated by user: ${user.id}`);
+    return product;
+  }
+
+  // Hard delete. Products that already have reviews must be deactivated instead
+  // so that review history is preserved.
+  async delete(productId, user) {
+    await this.findManageable(productId, user);
+
+    const reviewCount = await prisma.review.count({ where: { productId } });
+    if (reviewCount > 0) {
+      throw new AppError(
+        409,
+        'Products with reviews cannot be deleted; deactivate them instead'
+      );
+    }
+
+    await prisma.$transaction([
+      prisma.like.deleteMany({ where: { productId } }),
+      prisma.collectionItem.deleteMany({ where: { productId } }),
+      prisma.product.delete({ where: { id: productId } }),
+    ]);
+
+    logger.info(`Product ${productId} deleted by user: ${user.id}`);
+  }
+
+  canManage(product, user) {
+    return Boolean(
+      user && (user.role === UserRole.ADMIN || product.artistId === user.id)
+    );
+  }
+
+  async findManageable(productId, user) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, artistId: true },
+    });
+
+    if (!product) {
+      throw new AppError(404, 'Product not found');
+    }
+    if (!this.canManage(product, user)) {
+      throw new AppError(403, 'You do not have permission to manage this product');
+    }
+    return product;
+  }
+}
+
+export const productService = new ProductService();
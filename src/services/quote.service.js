@@ -0,0 +1,122 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { QuoteStatus } from '../utils/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Quote versions of an order. Callers run these inside the transaction of the
+// order transition they belong to; see CustomRequestService.
+class QuoteService {
+  // Add the next version and supersede any version still awaiting a response.
+  async create(
+    tx,
+    orderId,
+    artistId,
+    { lineItems, currency, artistNotes, expiresAt, revisionLimit, milestones }
+  ) {
+    const amount = Math.round(lineItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+
+    await tx.quote.updateMany({
+      where: { orderId, status: QuoteStatus.PENDING },
+      data: { status: QuoteStatus.SUPERSEDED },
+    });
+
+    const latest = await tx.quote.findFirst({
+      where: { orderId },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+
+    return tx.quote.create({
+      data: {
+        orderId,
+        version: (latest?.version ?? 0) + 1,
+        amount,
+        currency: currency || env.DEFAULT_CURRENCY,
+        lineItems,
+        artistNotes,
+        revisionLimit,
+        milestones,
+        expiresAt: expiresAt || new Date(Date.now() + env.QUOTE_EXPIRY_DAYS * DAY),
+        createdById: artistId,
+      },
+    });
+  }
+
+  // The version the buyer is currently being asked to respond to.
+  async getPending(orderId, client = prisma) {
+    const quote = await client.quote.findFirst({
+      where: { orderId, status: QuoteStatus.PENDING },
+      orderBy: { version: 'desc' },
+    });
+
+    if (!quote) {
+      throw new AppError(409, 'There is no open quote on this order');
+    }
+    return quote;
+  }
+
+  // The version a revision request answers: the pending one, or the latest
+  // if it expired unanswered, so the buyer can still ask for a new price.
+  async getRevisable(orderId, client = prisma) {
+    const quote = await client.quote.findFirst({
+      where: { orderId },
+      orderBy: { version: 'desc' },
+    });
+
+    if (!quote || ![QuoteStatus.PENDING, QuoteStatus.EXPIRED].includes(quote.status)) {
+      throw new AppError(409, 'There is no open quote on this order');
+    }
+    return quote;
+  }
+
+  // Record the buyer's answer on the pending (or, for revisions, expired) version.
+  async respond(tx, quoteId, status, buyerComment, from = [QuoteStatus.PENDING]) {
+    const { count } = await tx.quote.updateMany({
+      where: { id: quoteId, status: { in: from } },
+      data: { status, buyerComment, respondedAt: new Date() },
+    });
+
+    if (count === 0) {
+      throw new AppError(409, 'This quote is no longer open');
+    }
+    return tx.quote.findUnique({ where: { id: quoteId } });
+  }
+
+  async expire(quoteId) {
+    await prisma.quote.updateMany({
+      where: { id: quoteId, status: QuoteStatus.PENDING },
+      data: { status: QuoteStatus.EXPIRED },
+    });
+  }
+
+  // Reference stored on the order's transition history.
+  summarize(quote) {
+    return {
+      quoteId: quote.id,
+      quoteVersion: quote.version,
+      amount: quote.amount,
+      currency: quote.currency,
+    };
+  }
+
+  isExpired(quote) {
+    return quote.expiresAt.getTime() <= Date.now();
+  }
+
+  // The price a payment must lock in.
+  async getApproved(orderId, client = prisma) {
+    const quote = await client.quote.findFirst({
+      where: { orderId, status: QuoteStatus.APPROVED },
+      orderBy: { version: 'desc' },
+    });
+
+    if (!quote) {
+      throw new AppError(409, 'This order has no approved quote');
+    }
+    return quote;
+  }
+}
+
+export const quoteService = new QuoteService();
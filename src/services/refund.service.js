@@ -0,0 +1,374 @@
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import refundPolicy from '../config/refund-policy.config.js';
+import { orderStateService } from './order-state.service.js';
+import { paymobService } from './paymob.service.js';
+import { notificationService } from './notification.service.js';
+import { ledgerService } from './ledger.service.js';
+import { invoiceService } from './invoice.service.js';
+import {
+  OrderStatus,
+  OrderActor,
+  OrderAction,
+  PaymentStatus,
+  RefundStatus,
+  LedgerTransactionType,
+} from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const REFUNDABLE_STATUSES = [PaymentStatus.CAPTURED, PaymentStatus.REFUNDED];
+// A refund still PENDING after this long was interrupted; see resumePending().
+const STALE_REFUND_AGE = 10 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Refunds are reserved against the payment inside the caller's transaction,
+// then reversed at the gateway once it commits. A declined refund releases
+// its reservation so it can be issued again.
+class RefundService {
+  // Cancel an order and refund whatever the refund policy allows for its
+  // state and the canceller.
+  async cancelOrder(orderId, user, { reason } = {}) {
+    let refund = null;
+    const order = await orderStateService.transition(orderId, OrderAction.CANCEL, user, {
+      note: reason,
+      effect: async (tx, before) => {
+        refund = await this.createPolicyRefund(tx, before, user, reason);
+        return refund ? { refundId: refund.id, refundAmount: refund.amount } : undefined;
+      },
+    });
+
+    if (refund) {
+      refund = await this.process(refund.id, { cancelled: true });
+    } else {
+      this.notify(orderId, { cancelled: true, reason }).catch((error) => {
+        logger.error(`Cancellation emails for order ${orderId} failed:`, error);
+      });
+    }
+
+    return { ...order, refund };
+  }
+
+  // Admins can refund any amount still unrefunded, whatever the order state.
+  async refundPayment(paymentId, admin, { amount, reason }) {
+    const refund = await prisma.$transaction(async (tx) => {
+      const payment = await this.lockPayment(tx, paymentId);
+      if (!payment) {
+        throw new AppError(404, 'Payment not found');
+      }
+      return this.reserve(tx, payment, {
+        amount,
+        reason,
+        requestedById: admin.id,
+        actorRole: OrderActor.ADMIN,
+      });
+    });
+
+    return this.process(refund.id, { cancelled: false });
+  }
+
+  // A chargeback is money the buyer's bank already pulled back, so there is
+  // nothing to send to the gateway; it only counts against the payment and
+  // is reversed in the ledger like a refund.
+  async recordChargeback(paymentId, admin, { amount, reason }) {
+    const payment = await prisma.$transaction(async (tx) => {
+      const locked = await this.lockPayment(tx, paymentId);
+      if (!locked) {
+        throw new AppError(404, 'Payment not found');
+      }
+      if (!REFUNDABLE_STATUSES.includes(locked.status)) {
+        throw new AppError(409, 'Only captured payments can be charged back');
+      }
+
+      const remaining = roundAmount(locked.finalAmount - locked.refundedAmount);
+      if (amount > remaining) {
+        throw new AppError(409, `At most ${remaining} ${locked.currency} is left on this payment`);
+      }
+
+      const refundedAmount = roundAmount(locked.refundedAmount + amount);
+      const updated = await tx.payment.update({
+        where: { id: paymentId },
+        data: {
+          refundedAmount,
+          ...(refundedAmount >= locked.finalAmount && { status: PaymentStatus.REFUNDED }),
+        },
+      });
+      await ledgerService.recordReversal(tx, locked, {
+        key: `chargeback:${paymentId}:${crypto.randomUUID()}`,
+        type: LedgerTransactionType.CHARGEBACK,
+        amount,
+        memo: reason,
+      });
+      return updated;
+    });
+
+    logger.warn(`Chargeback of ${amount} ${payment.currency} recorded on payment ${paymentId}`);
+    return payment;
+  }
+
+  async list({ status, page, limit }) {
+    const where = status ? { status } : {};
+
+    const [refunds, total] = await prisma.$transaction([
+      prisma.refund.findMany({
+        where,
+        include: {
+          payment: { select: { id: true, orderId: true, finalAmount: true, status: true } },
+          requestedBy: { select: { id: true, username: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.refund.count({ where }),
+    ]);
+
+    return { refunds, total, page, limit };
+  }
+
+  // The policy share of what is left to refund. Only captured payments are
+  // refunded; an order cancelled before payment has nothing to return, and
+  // a checkout still in progress is failed so its capture is not taken as
+  // payment for the order.
+  async createPolicyRefund(tx, order, user, reason) {
+    const payment = await this.lockPayment(tx, null, order.id);
+    if (payment?.status === PaymentStatus.PENDING) {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: { status: PaymentStatus.FAILED },
+      });
+    }
+    if (!payment || !REFUNDABLE_STATUSES.includes(payment.status)) {
+      return null;
+    }
+
+    const roles = orderStateService.actorRoles(order, user);
+    const actorRole = user ? roles[0] : OrderActor.SYSTEM;
+    const percent = actorRole === OrderActor.ARTIST
+      ? refundPolicy.artistCancellation
+      : refundPolicy.byStatus[order.status] ?? 0;
+
+    const remaining = payment.finalAmount - payment.refundedAmount;
+    const amount = roundAmount(Math.min((payment.finalAmount * percent) / 100, remaining));
+    if (amount <= 0) {
+      logger.info(`No refund due for order ${order.id} (${percent}% policy)`);
+      return null;
+    }
+
+    return this.reserve(tx, payment, {
+      amount,
+      reason,
+      requestedById: user?.id ?? null,
+      actorRole,
+    });
+  }
+
+  async reserve(tx, payment, { amount, reason, requestedById, actorRole }) {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new AppError(409, 'Only captured payments can be refunded');
+    }
+
+    const remaining = roundAmount(payment.finalAmount - payment.refundedAmount);
+    if (amount > remaining) {
+      throw new AppError(409, `At most ${remaining} ${payment.currency} can still be refunded`);
+    }
+
+    const refundedAmount = roundAmount(payment.refundedAmount + amount);
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        refundedAmount,
+        ...(refundedAmount >= payment.finalAmount && { status: PaymentStatus.REFUNDED }),
+      },
+    });
+
+    return tx.refund.create({
+      data: {
+        paymentId: payment.id,
+        amount,
+        currency: payment.currency,
+        reason,
+        requestedById,
+        actorRole,
+      },
+    });
+  }
+
+  // Reverse a reserved refund at the gateway and record the outcome. Once
+  // the gateway has taken the refund it is never released: if the
+  // bookkeeping fails, resumePending() completes it later.
+  async process(refundId, { cancelled }) {
+    const refund = await prisma.refund.findUnique({
+      where: { id: refundId },
+      include: { payment: true },
+    });
+
+    // Claim the refund for sending, so it goes to the gateway at most once.
+    const { count } = await prisma.refund.updateMany({
+      where: { id: refundId, status: RefundStatus.PENDING, sentAt: null },
+      data: { sentAt: new Date() },
+    });
+    if (count === 0) {
+      return prisma.refund.findUnique({ where: { id: refundId } });
+    }
+
+    let gatewayRefundId;
+    try {
+      ({ refundId: gatewayRefundId } = await paymobService.refund(refund.payment, refund.amount));
+    } catch (error) {
+      const result = await this.release(refund, error);
+      logger.error(`Refund ${refundId} failed:`, error);
+      this.notifyInBackground(refund, result, cancelled);
+      return result;
+    }
+
+    let result;
+    try {
+      await prisma.refund.update({ where: { id: refundId }, data: { gatewayRefundId } });
+      result = await this.complete(refundId);
+    } catch (error) {
+      logger.error(
+        `Refund ${refundId} went through at the gateway (${gatewayRefundId}) but was not ` +
+          'fully recorded; the refunds:resume job picks it up',
+        error
+      );
+      const { payment, ...pending } = refund;
+      result = { ...pending, gatewayRefundId };
+    }
+
+    this.notifyInBackground(refund, result, cancelled);
+    return result;
+  }
+
+  // Book a refund the gateway accepted. Safe to repeat: the ledger posting is
+  // keyed by the refund.
+  async complete(refundId) {
+    const result = await prisma.$transaction(async (tx) => {
+      const refund = await tx.refund.findUnique({
+        where: { id: refundId },
+        include: { payment: true },
+      });
+      await ledgerService.recordReversal(tx, refund.payment, {
+        key: `refund:${refundId}`,
+        type: LedgerTransactionType.REFUND,
+        amount: refund.amount,
+        memo: refund.reason,
+      });
+      return tx.refund.update({
+        where: { id: refundId },
+        data: { status: RefundStatus.SUCCEEDED, error: null, completedAt: new Date() },
+      });
+    });
+
+    logger.info(`Refund ${refundId} of ${result.amount} ${result.currency} succeeded`);
+    invoiceService.issueCreditNote(refundId).catch((error) => {
+      logger.error(`Credit note for refund ${refundId} failed:`, error);
+    });
+    return result;
+  }
+
+  // Pick up refunds a crash or a database error left PENDING: book those the
+  // gateway accepted, send those that never reached it, and flag those whose
+  // gateway outcome is unknown for manual reconciliation.
+  async resumePending(now = new Date()) {
+    const refunds = await prisma.refund.findMany({
+      where: {
+        status: RefundStatus.PENDING,
+        createdAt: { lt: new Date(now.getTime() - STALE_REFUND_AGE) },
+      },
+      include: { payment: { select: { order: { select: { status: true } } } } },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    let resumed = 0;
+    for (const refund of refunds) {
+      try {
+        if (refund.gatewayRefundId) {
+          await this.complete(refund.id);
+          resumed += 1;
+        } else if (!refund.sentAt) {
+          const cancelled = refund.payment.order.status === OrderStatus.CANCELLED;
+          await this.process(refund.id, { cancelled });
+          resumed += 1;
+        } else if (!refund.error) {
+          await prisma.refund.update({
+            where: { id: refund.id },
+            data: { error: 'Sent to the gateway, outcome not recorded; reconcile manually' },
+          });
+          logger.error(`Refund ${refund.id} needs manual reconciliation with the gateway`);
+        }
+      } catch (error) {
+        logger.error(`Resuming refund ${refund.id} failed:`, error);
+      }
+    }
+
+    return resumed;
+  }
+
+  notifyInBackground(refund, result, cancelled) {
+    const details = { cancelled, refund: result, reason: refund.reason };
+    this.notify(refund.payment.orderId, details).catch((error) => {
+      logger.error(`Refund emails for refund ${refund.id} failed:`, error);
+    });
+  }
+
+  release(refund, error) {
+    return prisma.$transaction(async (tx) => {
+      const payment = await this.lockPayment(tx, refund.paymentId);
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          refundedAmount: roundAmount(payment.refundedAmount - refund.amount),
+          status: PaymentStatus.CAPTURED,
+        },
+      });
+      return tx.refund.update({
+        where: { id: refund.id },
+        data: { status: RefundStatus.FAILED, error: error.message, completedAt: new Date() },
+      });
+    });
+  }
+
+  async lockPayment(tx, paymentId, orderId) {
+    if (paymentId) {
+      await tx.$queryRaw`SELECT id FROM "Payment" WHERE id = ${paymentId} FOR UPDATE`;
+      return tx.payment.findUnique({ where: { id: paymentId } });
+    }
+    await tx.$queryRaw`SELECT id FROM "Payment" WHERE "orderId" = ${orderId} FOR UPDATE`;
+    return tx.payment.findUnique({ where: { orderId } });
+  }
+
+  // Both parties hear about cancellations and refunds.
+  async notify(orderId, { cancelled, refund, reason }) {
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: {
+        id: true,
+        user: { select: { email: true, username: true } },
+        artist: { select: { email: true, username: true } },
+      },
+    });
+
+    const recipients = [
+      { ...order.user, isBuyer: true },
+      ...(order.artist ? [{ ...order.artist, isBuyer: false }] : []),
+    ];
+
+    for (const recipient of recipients) {
+      await notificationService.sendRefundNotification(recipient.email, {
+        username: recipient.username,
+        isBuyer: recipient.isBuyer,
+        orderId: order.id,
+        cancelled,
+        reason,
+        refunded: refund?.status === RefundStatus.SUCCEEDED,
+        refundFailed: refund?.status === RefundStatus.FAILED,
+        amount: refund?.amount.toFixed(2),
+        currency: refund?.currency,
+      });
+    }
+  }
+}
+
+export const refundService = new RefundService();
@@ -0,0 +1,279 @@
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import { UserRole, OrderStatus, ReviewReportStatus } from '../utils/constants.js';
+import logger from '../middleware/logger.middleware.js';
+
+const REVIEW_EDIT_WINDOW = env.REVIEW_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+const REVIEW_INCLUDE = {
+  user: { select: { id: true, username: true } },
+};
+
+class ReviewService {
+  async list(productId, { page, limit }) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, isActive: true },
+      select: { id: true, ratingAverage: true, ratingCount: true },
+    });
+
+    if (!product) {
+      throw new AppError(404, 'Product not found');
+    }
+
+    const where = { productId, isHidden: false };
+    const [reviews, total] = await prisma.$transaction([
+      prisma.review.findMany({
+        where,
+        include: REVIEW_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.review.count({ where }),
+    ]);
+
+    return {
+      summary: { average: product.ratingAverage, count: product.ratingCount },
+      reviews,
+      total,
+      page,
+      limit,
+    };
+  }
+
+  // Only buyers with a completed order from the product's artist may review it.
+  async create(productId, userId, { rating, comment }) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, isActive: true },
+      select: { id: true, artistId: true },
+    });
+
+    if (!product) {
+      throw new AppError(404, 'Product not found');
+    }
+    if (product.artistId === userId) {
+      throw new AppError(403, 'You cannot review your own product');
+    }
+
+    const completedOrder = await prisma.order.findFirst({
+      where: { userId, artistId: product.artistId, status: OrderStatus.COMPLETED },
+      select: { id: true },
+    });
+
+    if (!completedOrder) {
+      throw new AppError(403, 'You can only review artists you have completed an order with');
+    }
+
+    const existing = await prisma.review.findUnique({
+      where: { userId_productId: { userId, productId } },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new AppError(409, 'You have already reviewed this product');
+    }
+
+    const review = await prisma.$transaction(async (tx) => {
+      const created = await tx.review.create({
+        data: { productId, userId, rating, comment },
+        include: REVIEW_INCLUDE,
+      });
+      await this.refreshAggregates(tx, product);
+      return created;
+    });
+
+    logger.info(`Review ${review.id} created for product ${productId} by user: ${userId}`);
+    return review;
+  }
+
+  // Authors may edit their review within the edit window.
+  async update(productId, reviewId, userId, updates) {
+    const review = await this.findReview(productId, reviewId);
+
+    if (review.userId !== userId) {
+      throw new AppError(403, 'You can only edit your own review');
+    }
+    if (Date.now() - review.createdAt.getTime() > REVIEW_EDIT_WINDOW) {
+      throw new AppError(403, 'The edit window for this review has closed');
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.review.update({
+        where: { id: reviewId },
+        data: updates,
+        include: REVIEW_INCLUDE,
+      });
+      if (updates.rating !== undefined) {
+        await this.refreshAggregates(tx, review.product);
+      }
+      return result;
+    });
+
+    logger.info(`Review ${reviewId} updated by user: ${userId}`);
+    return updated;
+  }
+
+  async delete(productId, reviewId, user) {
+    const review = await this.findReview(productId, reviewId);
+
+    if (review.userId !== user.id && user.role !== UserRole.ADMIN) {
+      throw new AppError(403, 'You can only delete your own review');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.review.delete({ where: { id: reviewId } });
+      await this.refreshAggregates(tx, review.product);
+    });
+
+    logger.info(`Review ${reviewId} deleted by user: ${user.id}`);
+  }
+
+  // The product's artist may publish (or replace) a single public reply.
+  async reply(productId, reviewId, userId, reply) {
+    const review = await this.findReview(productId, reviewId);
+
+    if (review.product.artistId !== userId) {
+      throw new AppError(403, 'Only the artist can reply to this review');
+    }
+
+    const updated = await prisma.review.update({
+      where: { id: reviewId },
+      data: { artistReply: reply, artistRepliedAt: new Date() },
+      include: REVIEW_INCLUDE,
+    });
+
+    logger.info(`Artist ${userId} replied to review ${reviewId}`);
+    return updated;
+  }
+
+  async report(productId, reviewId, userId, reason) {
+    const review = await this.findReview(productId, reviewId);
+
+    if (review.userId === userId) {
+      throw new AppError(400, 'You cannot report your own review');
+    }
+
+    const existing = await prisma.reviewReport.findUnique({
+      where: { reviewId_reporterId: { reviewId, reporterId: userId } },
+      select: { id: true },
+    });
+    if (existing) {
+      throw new AppError(409, 'You have already reported this review');
+    }
+
+    const report = await prisma.reviewReport.create({
+      data: { reviewId, reporterId: userId, reason },
+    });
+
+    logger.warn(`Review ${reviewId} reported by user: ${userId}`);
+    return report;
+  }
+
+  // Admin moderation queue.
+  async listReports({ status, page, limit }) {
+    const where = { status: status || ReviewReportStatus.OPEN };
+
+    const [reports, total] = await prisma.$transaction([
+      prisma.reviewReport.findMany({
+        where,
+        include: {
+          review: { include: REVIEW_INCLUDE },
+          reporter: { select: { id: true, username: true } },
+        },
+        orderBy: { createdAt: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.reviewReport.count({ where }),
+    ]);
+
+    return { reports, total, page, limit };
+  }
+
+  // Dismiss a report, or hide the review. Hiding resolves every open report
+  // on the review and removes it from the aggregates.
+  async resolveReport(reportId, adminId, action) {
+    const report = await prisma.reviewReport.findUnique({
+      where: { id: reportId },
+      include: {
+        review: { include: { product: { select: { id: true, artistId: true } } } },
+      },
+    });
+
+    if (!report) {
+      throw new AppError(404, 'Report not found');
+    }
+    if (report.status !== ReviewReportStatus.OPEN) {
+      throw new AppError(409, 'Report has already been resolved');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (action === 'HIDE') {
+        await tx.review.update({
+          where: { id: report.reviewId },
+          data: { isHidden: true },
+        });
+        await tx.reviewReport.updateMany({
+          where: { reviewId: report.reviewId, status: ReviewReportStatus.OPEN },
+          data: { status: ReviewReportStatus.ACTIONED, resolvedAt: new Date() },
+        });
+        await this.refreshAggregates(tx, report.review.product);
+      } else {
+        await tx.reviewReport.update({
+          where: { id: reportId },
+          data: { status: ReviewReportStatus.DISMISSED, resolvedAt: new Date() },
+        });
+      }
+    });
+
+    logger.info(`Review report ${reportId} resolved (${action}) by admin: ${adminId}`);
+  }
+
+  // Recompute the product and artist rating aggregates inside the caller's
+  // transaction. Locking the artist and product rows first serializes
+  // concurrent review writes so the aggregates cannot be computed from stale data.
+  async refreshAggregates(tx, { id: productId, artistId }) {
+    await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${artistId} FOR UPDATE`;
+    await tx.$queryRaw`SELECT id FROM "Product" WHERE id = ${productId} FOR UPDATE`;
+
+    const productStats = await tx.review.aggregate({
+      where: { productId, isHidden: false },
+      _avg: { rating: true },
+      _count: { _all: true },
+    });
+    const artistStats = await tx.review.aggregate({
+      where: { isHidden: false, product: { artistId } },
+      _avg: { rating: true },
+      _count: { _all: true },
+    });
+
+    await tx.product.update({
+      where: { id: productId },
+      data: {
+        ratingAverage: productStats._avg.rating ?? 0,
+        ratingCount: productStats._count._all,
+      },
+    });
+    await tx.user.update({
+      where: { id: artistId },
+      data: {
+        artistRatingAverage: artistStats._avg.rating ?? 0,
+        artistRatingCount: artistStats._count._all,
+      },
+    });
+  }
+
+  async findReview(productId, reviewId) {
+    const review = await prisma.review.findFirst({
+      where: { id: reviewId, productId },
+      include: { product: { select: { id: true, artistId: true } } },
+    });
+
+    if (!review) {
+      throw new AppError(404, 'Review not found');
+    }
+    return review;
+  }
+}
+
+export const reviewService = new ReviewService();
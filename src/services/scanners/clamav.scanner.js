@@ -0,0 +1,59 @@
+import net from 'net';
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Talks to clamd over its local socket (or TCP) using the INSTREAM command:
+// the file is streamed as length-prefixed chunks terminated by a zero-length chunk.
+export class ClamAvScanner {
+  constructor({ socketPath, host, port, timeout }) {
+    this.name = 'clamav';
+    this.connectOptions = host ? { host, port } : { path: socketPath };
+    this.timeout = timeout;
+  }
+
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      const chunks = [];
+
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy(new Error('ClamAV scan timed out'));
+      });
+      socket.on('error', reject);
+      socket.on('data', (data) => chunks.push(data));
+      socket.on('end', () => {
+        try {
+          resolve(this.parseReply(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+      });
+    });
+  }
+
+  // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND".
+  parseReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+
+    if (text.endsWith('OK')) {
+      return { clean: true, engine: this.name };
+    }
+    const found = text.match(/^stream: (.+) FOUND$/);
+    if (found) {
+      return { clean: false, signature: found[1], engine: this.name };
+    }
+    throw new Error(`Unexpected ClamAV reply: ${text}`);
+  }
+}
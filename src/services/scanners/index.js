@@ -0,0 +1,21 @@
+import { env } from '../../config/env.config.js';
+import { ClamAvScanner } from './clamav.scanner.js';
+import { StubScanner } from './stub.scanner.js';
+
+// Every scanner implements `scan(buffer) -> { clean, signature?, engine }`
+// and rejects when the file could not be scanned.
+export function createScanner(type = env.FILE_SCANNER) {
+  switch (type) {
+    case 'clamav':
+      return new ClamAvScanner({
+        socketPath: env.CLAMAV_SOCKET,
+        host: env.CLAMAV_HOST,
+        port: env.CLAMAV_PORT,
+        timeout: env.CLAMAV_TIMEOUT_MS,
+      });
+    case 'stub':
+      return new StubScanner();
+    default:
+      throw new Error(`Unknown file scanner: ${type}`);
+  }
+}
@@ -0,0 +1,16 @@
+// Offline scanner for development and tests. Flags the standard EICAR test
+// string as infected and passes everything else.
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+export class StubScanner {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async scan(buffer) {
+    if (buffer.includes(EICAR_MARKER)) {
+      return { clean: false, signature: 'Eicar-Test-Signature', engine: this.name };
+    }
+    return { clean: true, engine: this.name };
+  }
+}
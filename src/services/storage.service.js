@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { env } from '../config/env.config.js';
+import { createStorageDriver } from './storage/index.js';
+
+// Objects live under one of two prefixes:
+//   public/  - product images and other assets anyone may load
+//   private/ - order attachments, deliveries and invoices; only via signed URLs
+const Visibility = Object.freeze({ PUBLIC: 'public', PRIVATE: 'private' });
+
+class StorageService {
+  constructor(driver = createStorageDriver()) {
+    this.driver = driver;
+  }
+
+  buildKey(visibility, folder, ext) {
+    return `${visibility}/${folder}/${crypto.randomUUID()}${ext ? `.${ext}` : ''}`;
+  }
+
+  isPrivate(key) {
+    return key.startsWith(`${Visibility.PRIVATE}/`);
+  }
+
+  put(key, body, options) {
+    return this.driver.put(key, body, options);
+  }
+
+  get(key) {
+    return this.driver.get(key);
+  }
+
+  head(key) {
+    return this.driver.head(key);
+  }
+
+  delete(key) {
+    return this.driver.delete(key);
+  }
+
+  publicUrl(key) {
+    if (this.isPrivate(key)) {
+      throw new Error(`Refusing to build a public URL for private key: ${key}`);
+    }
+    return this.driver.publicUrl(key);
+  }
+
+  async signedDownloadUrl(key, { fileName, contentType, expiresIn = env.STORAGE_SIGNED_URL_TTL } = {}) {
+    const url = await this.driver.signedDownloadUrl(key, { expiresIn, fileName, contentType });
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+
+  async signedUploadUrl(key, { contentType, size, expiresIn = env.STORAGE_SIGNED_URL_TTL }) {
+    const upload = await this.driver.signedUploadUrl(key, { expiresIn, contentType, size });
+    return { ...upload, key, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  }
+}
+
+export { Visibility };
+export const storageService = new StorageService();
@@ -0,0 +1,32 @@
+import { env } from '../../config/env.config.js';
+import { LocalStorageDriver } from './local.driver.js';
+import { S3StorageDriver } from './s3.driver.js';
+
+// Every driver implements:
+//   put(key, body, { contentType }), get(key) -> Buffer, head(key) -> { size } | null,
+//   delete(key), publicUrl(key),
+//   signedDownloadUrl(key, { expiresIn, fileName, contentType }) -> url,
+//   signedUploadUrl(key, { expiresIn, contentType, size }) -> { url, method, headers }
+export function createStorageDriver(type = env.STORAGE_DRIVER) {
+  switch (type) {
+    case 'local':
+      return new LocalStorageDriver({
+        root: env.STORAGE_LOCAL_DIR,
+        publicBaseUrl: env.STORAGE_PUBLIC_URL || `${env.BACKEND_URL}/api/storage`,
+        signedBaseUrl: `${env.BACKEND_URL}/api/storage/signed`,
+        signingSecret: env.STORAGE_SIGNING_SECRET,
+      });
+    case 's3':
+      return new S3StorageDriver({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE,
+        publicBaseUrl: env.STORAGE_PUBLIC_URL,
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${type}`);
+  }
+}
@@ -0,0 +1,89 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Any S3-compatible service: AWS S3, MinIO, Cloudflare R2, ...
+// MinIO needs forcePathStyle because buckets are not DNS subdomains there.
+export class S3StorageDriver {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicBaseUrl }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+    this.publicBaseUrl = publicBaseUrl
+      || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(
+      new PutObjectCommand({ Bucket: this.bucket, Key: key, Body: body, ContentType: contentType })
+    );
+  }
+
+  async get(key) {
+    const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  }
+
+  async head(key) {
+    try {
+      const result = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: key })
+      );
+      return { size: result.ContentLength };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  // Public objects are readable through a bucket policy on the public/ prefix.
+  publicUrl(key) {
+    return `${this.publicBaseUrl}/${key}`;
+  }
+
+  signedDownloadUrl(key, { expiresIn, fileName, contentType }) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(fileName && {
+        ResponseContentDisposition: `attachment; filename="${encodeURIComponent(fileName)}"`,
+      }),
+      ...(contentType && { ResponseContentType: contentType }),
+    });
+    return getSignedUrl(this.client, command, { expiresIn });
+  }
+
+  // Content type and length are part of the signature, so S3 rejects uploads
+  // that do not match what the client declared.
+  async signedUploadUrl(key, { expiresIn, contentType, size }) {
+    const command = new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: size,
+    });
+    const url = await getSignedUrl(this.client, command, {
+      expiresIn,
+      signableHeaders: new Set(['content-type', 'content-length']),
+    });
+    return {
+      url,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType, 'Content-Length': String(size) },
+    };
+  }
+}
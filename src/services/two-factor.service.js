@@ -0,0 +1,210 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { env } from '../config/env.config.js';
+import logger from '../middleware/logger.middleware.js';
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+} from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+function getEncryptionKey() {
+  if (!env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new AppError(500, 'Two-factor encryption key is not configured', false);
+  }
+  return crypto.createHash('sha256').update(env.TWO_FACTOR_ENCRYPTION_KEY).digest();
+}
+
+// Encrypt the TOTP secret at rest; stored as iv:authTag:ciphertext.
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('hex')).join(':');
+}
+
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split(':').map((p) => Buffer.from(p, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+class TwoFactorService {
+  // Start enrollment: store a new (not yet active) secret and return the otpauth URI.
+  async setup(userId) {
+    const user = await this.findUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new AppError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null },
+    });
+
+    logger.info(`Two-factor enrollment started for user: ${userId}`);
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email, env.APP_NAME || 'Maroba'),
+    };
+  }
+
+  // Confirm enrollment with a code from the authenticator app.
+  async enable(userId, code) {
+    const user = await this.findUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw new AppError(400, 'Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorSecret) {
+      throw new AppError(400, 'Two-factor setup has not been started');
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      logger.warn(`Invalid two-factor enrollment code for user: ${userId}`);
+      throw new AppError(400, 'Invalid verification code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: { twoFactorEnabled: true, twoFactorLastStep: step },
+      }),
+      ...this.replaceRecoveryCodesQueries(userId, recoveryCodes),
+    ]);
+
+    logger.info(`Two-factor authentication enabled for user: ${userId}`);
+    return { recoveryCodes };
+  }
+
+  // Turn 2FA off; requires the account password.
+  async disable(userId, password) {
+    const user = await this.findUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new AppError(400, 'Two-factor authentication is not enabled');
+    }
+    await this.verifyPassword(user, password);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+    ]);
+
+    logger.info(`Two-factor authentication disabled for user: ${userId}`);
+  }
+
+  // Replace all recovery codes; requires the account password.
+  async regenerateRecoveryCodes(userId, password) {
+    const user = await this.findUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw new AppError(400, 'Two-factor authentication is not enabled');
+    }
+    await this.verifyPassword(user, password);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.$transaction(this.replaceRecoveryCodesQueries(userId, recoveryCodes));
+
+    logger.info(`Recovery codes regenerated for user: ${userId}`);
+    return { recoveryCodes };
+  }
+
+  // Check a login code, accepting either a TOTP code or an unused recovery code.
+  async verifyLoginCode(user, code) {
+    if (!code || !user.twoFactorEnabled || !user.twoFactorSecret) {
+      return false;
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step !== null) {
+      // Accept each time step only once so an observed code cannot be replayed.
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: user.id,
+          OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+        },
+        data: { twoFactorLastStep: step },
+      });
+      return count === 1;
+    }
+
+    const { count } = await prisma.recoveryCode.updateMany({
+      where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 1) {
+      logger.info(`Recovery code used for user: ${user.id}`);
+    }
+    return count === 1;
+  }
+
+  replaceRecoveryCodesQueries(userId, recoveryCodes) {
+    return [
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.createMany({
+        data: recoveryCodes.map((code) => ({
+          userId,
+          codeHash: hashRecoveryCode(code),
+        })),
+      }),
+    ];
+  }
+
+  async verifyPassword(user, password) {
+    const isMatch = password && (await bcrypt.compare(password, user.password));
+    if (!isMatch) {
+      logger.warn(`Two-factor password confirmation failed for user: ${user.id}`);
+      throw new AppError(401, 'Invalid credentials');
+    }
+  }
+
+  async findUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        password: true,
+        twoFactorEnabled: true,
+        twoFactorSecret: true,
+      },
+    });
+
+    if (!user) {
+      throw new AppError(404, 'User not found');
+    }
+    return user;
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
@@ -0,0 +1,239 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { prisma } from '../prisma/prisma.client.js';
+import { AppError } from '../middleware/error.middleware.js';
+import { notificationService } from './notification.service.js';
+import { authService } from './auth.service.js';
+import { dataExportService } from './data-export.service.js';
+import logger from '../middleware/logger.middleware.js';
+
+// Fields that are safe to return to the account owner.
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  role: true,
+  isVerified: true,
+  isGoogleUser: true,
+  twoFactorEnabled: true,
+  followDigestEnabled: true,
+  pendingEmail: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+class UserService {
+  async getProfile(userId) {
+    const user = await prisma.user.findFirst({
+      where: { id: userId, deletedAt: null },
+      select: PROFILE_SELECT,
+    });
+
+    if (!user) {
+      throw new AppError(404, 'User not found');
+    }
+    return user;
+  }
+
+  async updateProfile(userId, updates) {
+    if (updates.username) {
+      const taken = await prisma.user.findFirst({
+        where: { username: updates.username, NOT: { id: userId } },
+        select: { id: true },
+      });
+      if (taken) {
+        throw new AppError(409, 'Username is already taken');
+      }
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: updates,
+      select: PROFILE_SELECT,
+    });
+
+    logger.info(`Profile updated for user: ${userId}`);
+    return user;
+  }
+
+  // Start an email change: the new address must be confirmed before it takes effect.
+  async requestEmailChange(userId, newEmail, credentials, req) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, password: true, googleId: true },
+    });
+
+    if (!user) {
+      throw new AppError(404, 'User not found');
+    }
+
+    await authService.reauthenticate(user, credentials);
+
+    if (newEmail === user.email) {
+      throw new AppError(400, 'New email must be different from the current one');
+    }
+
+    const taken = await prisma.user.findUnique({
+      where: { email: newEmail },
+      select: { id: true },
+    });
+    if (taken) {
+      throw new AppError(409, 'Email address is already in use');
+    }
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const hashedToken = crypto.createHash('sha256').update(rawToken).digest('hex');
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        pendingEmail: newEmail,
+        emailChangeToken: hashedToken,
+        emailChangeTokenExpires: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      },
+    });
+
+    await notificationService.sendEmailChangeConfirmation(newEmail, rawToken, req);
+    logger.info(`Email change requested for user: ${userId}`);
+  }
+
+  // Complete an email change using the token sent to the new address.
+  async confirmEmailChange(token) {
+    if (!token) {
+      throw new AppError(400, 'Confirmation token is required');
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+    const user = await prisma.user.findFirst({
+      where: {
+        emailChangeToken: hashedToken,
+        emailChangeTokenExpires: { gt: new Date() },
+      },
+      select: { id: true, email: true, pendingEmail: true },
+    });
+
+    if (!user || !user.pendingEmail) {
+      logger.warn('Invalid or expired email change token');
+      throw new AppError(400, 'Invalid or expired confirmation token');
+    }
+
+    // The address may have been claimed since the request was made.
+    const taken = await prisma.user.findUnique({
+      where: { email: user.pendingEmail },
+      select: { id: true },
+    });
+    if (taken) {
+      throw new AppError(409, 'Email address is already in use');
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        email: user.pendingEmail,
+        pendingEmail: null,
+        emailChangeToken: null,
+        emailChangeTokenExpires: null,
+      },
+      select: PROFILE_SELECT,
+    });
+
+    try {
+      await notificationService.sendEmailChangedNotice(user.email, updatedUser.email);
+    } catch (error) {
+      logger.error(`Failed to notify previous address for user ${user.id}:`, error);
+    }
+
+    logger.info(`Email changed for user: ${user.id}`);
+    return updatedUser;
+  }
+
+  // Delete the account by anonymizing it in place. Orders, messages and reviews
+  // keep pointing at the (now anonymous) user so that foreign keys stay intact.
+  // Order amounts, quotes and invoices are kept for accounting; the free-form
+  // request details the buyer wrote are cleared.
+  async deleteAccount(userId, credentials) {
+    const user = await prisma.user.findFirst({
+      where: { id: userId, deletedAt: null },
+      select: { id: true, password: true, googleId: true },
+    });
+
+    if (!user) {
+      throw new AppError(404, 'User not found');
+    }
+
+    await authService.reauthenticate(user, credentials);
+
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+    const dataExports = await prisma.dataExport.findMany({
+      where: { userId },
+      select: { id: true },
+    });
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          email: `deleted-${userId}@deleted.invalid`,
+          username: `deleted-${userId}`,
+          firstName: null,
+          lastName: null,
+          password: placeholderPassword,
+          googleId: null,
+          isGoogleUser: false,
+          verificationToken: null,
+          verificationTokenExpires: null,
+          resetPasswordToken: null,
+          resetPasswordExpire: null,
+          magicLinkToken: null,
+          magicLinkExpires: null,
+          pendingEmail: null,
+          emailChangeToken: null,
+          emailChangeTokenExpires: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+          followDigestEnabled: false,
+          deletedAt: new Date(),
+        },
+      }),
+      prisma.message.updateMany({
+        where: { senderId: userId },
+        data: { content: '[deleted]', attachments: [] },
+      }),
+      prisma.order.updateMany({
+        where: { userId },
+        data: { customDetails: { deleted: true } },
+      }),
+      prisma.review.updateMany({
+        where: { userId },
+        data: { comment: null },
+      }),
+      prisma.product.updateMany({
+        where: { artistId: userId },
+        data: { isActive: false },
+      }),
+      prisma.address.deleteMany({ where: { userId } }),
+      prisma.$executeRaw`
+        UPDATE "Product" SET "likeCount" = GREATEST("likeCount" - 1, 0)
+        WHERE id IN (SELECT "productId" FROM "Like" WHERE "userId" = ${userId})
+      `,
+      prisma.like.deleteMany({ where: { userId } }),
+      prisma.collection.deleteMany({ where: { ownerId: userId } }),
+      prisma.follow.deleteMany({ where: { OR: [{ followerId: userId }, { artistId: userId }] } }),
+      prisma.artistAnnouncement.deleteMany({ where: { artistId: userId } }),
+      prisma.artistProfile.deleteMany({ where: { userId } }),
+      prisma.payoutAccount.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.dataExport.deleteMany({ where: { userId } }),
+      authService.revokeUserTokens(userId),
+    ]);
+
+    await dataExportService.removeArchives(dataExports.map((e) => e.id));
+
+    logger.info(`Account deleted and anonymized for user: ${userId}`);
+  }
+}
+
+export const userService = new UserService();
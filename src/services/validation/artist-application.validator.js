@@ -0,0 +1,30 @@
+import { z } from 'zod';
+import { ArtistApplicationStatus } from '../../utils/constants.js';
+
+export const artistApplicationSchema = z.object({
+  bio: z.string().trim().min(50, 'Bio must be at least 50 characters').max(2000),
+  portfolioUrl: z.string().trim().url('Portfolio must be a valid URL'),
+  sampleLinks: z
+    .array(z.string().trim().url('Sample links must be valid URLs'))
+    .min(1, 'At least one sample link is required')
+    .max(10, 'No more than 10 sample links are allowed'),
+});
+
+export const reviewArtistApplicationSchema = z
+  .object({
+    decision: z.enum([
+      ArtistApplicationStatus.APPROVED,
+      ArtistApplicationStatus.REJECTED,
+    ]),
+    reason: z.string().trim().max(1000).optional(),
+  })
+  .refine(
+    (data) => data.decision !== ArtistApplicationStatus.REJECTED || data.reason,
+    { message: 'A reason is required when rejecting an application', path: ['reason'] }
+  );
+
+export const listArtistApplicationsSchema = z.object({
+  status: z.nativeEnum(ArtistApplicationStatus).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
@@ -0,0 +1,46 @@
+import { z } from 'zod';
+
+const url = z.string().trim().url();
+
+const socialLinksSchema = z
+  .object({
+    website: url,
+    instagram: url,
+    twitter: url,
+    tiktok: url,
+    youtube: url,
+    behance: url,
+    artstation: url,
+    deviantart: url,
+  })
+  .partial()
+  .strict();
+
+export const updateArtistProfileSchema = z
+  .object({
+    displayName: z.string().trim().min(1).max(80).nullable(),
+    bio: z.string().trim().max(2000).nullable(),
+    avatarUrl: url.nullable(),
+    bannerUrl: url.nullable(),
+    socialLinks: socialLinksSchema.nullable(),
+    commissionTypes: z
+      .array(z.string().trim().min(1).max(50))
+      .max(20, 'No more than 20 commission types are allowed'),
+    turnaroundMinDays: z.number().int().min(1).max(365).nullable(),
+    turnaroundMaxDays: z.number().int().min(1).max(365).nullable(),
+  })
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided',
+  })
+  .refine(
+    (data) =>
+      data.turnaroundMinDays == null ||
+      data.turnaroundMaxDays == null ||
+      data.turnaroundMinDays <= data.turnaroundMaxDays,
+    {
+      message: 'Minimum turnaround cannot exceed maximum turnaround',
+      path: ['turnaroundMaxDays'],
+    }
+  );
@@ -0,0 +1,16 @@
+import { z } from 'zod';
+import { AuditEventType } from '../../utils/constants.js';
+
+export const listAuditEventsSchema = z
+  .object({
+    userId: z.string().uuid().optional(),
+    type: z.nativeEnum(AuditEventType).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+  })
+  .refine((data) => !data.from || !data.to || data.from <= data.to, {
+    message: '"from" must be before "to"',
+    path: ['from'],
+  });
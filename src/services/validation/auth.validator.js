@@ -0,0 +1,17 @@
+import { z } from 'zod';
+
+// A six-digit authenticator code or a recovery code (xxxxx-xxxxx).
+const twoFactorCode = z.string().trim().min(1, 'Code is required').max(32);
+
+export const verifyTwoFactorSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: twoFactorCode,
+});
+
+export const enableTwoFactorSchema = z.object({
+  code: twoFactorCode,
+});
+
+export const twoFactorPasswordSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+});
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+
+const collectionFields = {
+  name: z.string().trim().min(1).max(80),
+  description: z.string().trim().max(500).nullable(),
+  isPublic: z.boolean(),
+};
+
+export const createCollectionSchema = z.object({
+  name: collectionFields.name,
+  description: collectionFields.description.optional(),
+  isPublic: collectionFields.isPublic.default(false),
+});
+
+export const updateCollectionSchema = z
+  .object(collectionFields)
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided',
+  });
+
+export const addCollectionItemSchema = z.object({
+  productId: z.string().uuid('Invalid product id'),
+  note: z.string().trim().max(500).optional(),
+});
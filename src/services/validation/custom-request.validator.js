@@ -0,0 +1,84 @@
+import { z } from 'zod';
+import { QuoteLineItemType, MilestoneType } from '../../utils/constants.js';
+
+const money = z
+  .number()
+  .nonnegative()
+  .max(1_000_000)
+  .multipleOf(0.01, 'Amounts may have at most two decimal places');
+
+// What the buyer is asking for. Kept as JSON on Order.customDetails.
+const customDetailsSchema = z
+  .object({
+    title: z.string().trim().min(3).max(120),
+    description: z.string().trim().min(20).max(5000),
+    budget: z.number().positive().max(1_000_000).optional(),
+    deadline: z.coerce
+      .date()
+      .refine((date) => date > new Date(), { message: 'Deadline must be in the future' })
+      .transform((date) => date.toISOString())
+      .optional(),
+    referenceProductIds: z.array(z.string().uuid()).max(10).optional(),
+    attributes: z
+      .record(z.string().min(1).max(50), z.union([z.string().max(200), z.number()]))
+      .optional(),
+  })
+  .strict();
+
+export const createCustomRequestSchema = z.object({
+  artistId: z.string().uuid('Invalid artist id'),
+  customDetails: customDetailsSchema,
+});
+
+export const updateCustomRequestSchema = z.object({
+  customDetails: customDetailsSchema,
+});
+
+const lineItemSchema = z.object({
+  type: z.nativeEnum(QuoteLineItemType),
+  description: z.string().trim().max(200).optional(),
+  amount: money,
+});
+
+export const quoteSchema = z.object({
+  lineItems: z
+    .array(lineItemSchema)
+    .min(1)
+    .max(20)
+    .refine(
+      (items) => items.filter((item) => item.type === QuoteLineItemType.BASE).length === 1,
+      { message: 'A quote needs exactly one base price line item' }
+    )
+    .refine((items) => items.reduce((sum, item) => sum + item.amount, 0) > 0, {
+      message: 'Quote total must be greater than zero',
+    }),
+  currency: z.string().trim().length(3).toUpperCase().optional(),
+  artistNotes: z.string().trim().max(2000).optional(),
+  revisionLimit: z.number().int().min(0).max(10).optional(),
+  milestones: z
+    .array(z.nativeEnum(MilestoneType))
+    .min(1)
+    .refine((types) => new Set(types).size === types.length, {
+      message: 'Milestones must not repeat',
+    })
+    .refine((types) => types.includes(MilestoneType.FINAL), {
+      message: 'The final delivery milestone is required',
+    })
+    .optional(),
+  expiresAt: z.coerce
+    .date()
+    .refine((date) => date > new Date(), { message: 'Expiry must be in the future' })
+    .optional(),
+});
+
+export const approveQuoteSchema = z.object({
+  comment: z.string().trim().max(2000).optional(),
+});
+
+export const requestRevisionSchema = z.object({
+  note: z.string().trim().min(5, 'Please tell the artist what should change').max(2000),
+});
+
+export const cancelSchema = z.object({
+  reason: z.string().trim().max(1000).optional(),
+});
@@ -0,0 +1,20 @@
+import { z } from 'zod';
+
+const pagination = {
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+};
+
+export const listFollowingSchema = z.object(pagination);
+
+export const listAnnouncementsSchema = z.object(pagination);
+
+export const createAnnouncementSchema = z.object({
+  title: z.string().trim().min(3).max(120),
+  body: z.string().trim().min(1).max(2000),
+});
+
+export const feedSchema = z.object({
+  cursor: z.string().max(500).optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+});
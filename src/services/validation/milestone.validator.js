@@ -0,0 +1,13 @@
+import { z } from 'zod';
+
+export const deliverMilestoneSchema = z.object({
+  note: z.string().trim().max(1000).optional(),
+});
+
+export const requestMilestoneChangesSchema = z.object({
+  comment: z.string().trim().min(5).max(2000),
+});
+
+export const downloadDeliverySchema = z.object({
+  variant: z.enum(['preview', 'original']).default('preview'),
+});
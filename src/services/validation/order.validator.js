@@ -0,0 +1,25 @@
+import { z } from 'zod';
+import { OrderStatus } from '../../utils/constants.js';
+import { ALLOWED_UPLOAD_TYPES } from '../../middleware/file-scanner.middleware.js';
+
+export const listOrdersSchema = z.object({
+  as: z.enum(['buyer', 'artist']).default('buyer'),
+  status: z.nativeEnum(OrderStatus).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export const uploadAttachmentsSchema = z.object({
+  description: z.string().trim().max(500).optional(),
+});
+
+export const attachmentUploadUrlSchema = z.object({
+  contentType: z.enum(ALLOWED_UPLOAD_TYPES),
+  size: z.number().int().positive(),
+});
+
+export const completeAttachmentUploadSchema = z.object({
+  key: z.string().min(1).max(500),
+  fileName: z.string().trim().min(1).max(255),
+  description: z.string().trim().max(500).optional(),
+});
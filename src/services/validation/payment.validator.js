@@ -0,0 +1,22 @@
+import { z } from 'zod';
+import { RefundStatus } from '../../utils/constants.js';
+
+export const fakeCheckoutSchema = z.object({
+  outcome: z.enum(['success', 'authorized', 'failure']).default('success'),
+});
+
+export const createRefundSchema = z.object({
+  amount: z.number().positive().multipleOf(0.01),
+  reason: z.string().trim().min(3).max(1000),
+});
+
+export const listRefundsSchema = z.object({
+  status: z.nativeEnum(RefundStatus).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export const chargebackSchema = z.object({
+  amount: z.number().positive().multipleOf(0.01),
+  reason: z.string().trim().min(3).max(1000),
+});
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+import { PayoutBatchStatus } from '../../utils/constants.js';
+
+export const listEarningsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export const payoutAccountSchema = z.object({
+  accountName: z.string().trim().min(2).max(140),
+  bankName: z.string().trim().min(2).max(140),
+  iban: z
+    .string()
+    .transform((value) => value.replace(/\s+/g, '').toUpperCase())
+    .pipe(z.string().regex(/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/, 'Invalid IBAN')),
+});
+
+export const createPayoutBatchSchema = z.object({
+  currency: z.string().trim().length(3).toUpperCase().optional(),
+});
+
+export const listPayoutBatchesSchema = z.object({
+  status: z.nativeEnum(PayoutBatchStatus).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
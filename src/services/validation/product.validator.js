@@ -0,0 +1,82 @@
+import { z } from 'zod';
+
+const attributeValue = z.union([
+  z.string().max(200),
+  z.number(),
+  z.boolean(),
+  z.array(z.union([z.string().max(200), z.number()])).max(50),
+]);
+
+// Free-form attributes such as { sizes: ['A4', 'A3'], materials: ['canvas'] }
+const attributesSchema = z
+  .record(z.string().min(1).max(50), attributeValue)
+  .refine((attributes) => Object.keys(attributes).length <= 20, {
+    message: 'No more than 20 attributes are allowed',
+  });
+
+const productFields = {
+  title: z.string().trim().min(3).max(120),
+  description: z.string().trim().min(10).max(5000),
+  basePrice: z
+    .number()
+    .positive('Base price must be greater than zero')
+    .max(1_000_000)
+    .multipleOf(0.01, 'Base price may have at most two decimal places'),
+  images: z
+    .array(z.string().trim().url('Images must be valid URLs'))
+    .max(10, 'No more than 10 images are allowed')
+    .default([]),
+  attributes: attributesSchema.nullable().optional(),
+};
+
+export const createProductSchema = z
+  .object({
+    ...productFields,
+    // Admins may create a product on behalf of an artist.
+    artistId: z.string().uuid().optional(),
+  })
+  .strict();
+
+export const updateProductSchema = z
+  .object({
+    title: productFields.title.optional(),
+    description: productFields.description.optional(),
+    basePrice: productFields.basePrice.optional(),
+    images: z
+      .array(z.string().trim().url('Images must be valid URLs'))
+      .max(10, 'No more than 10 images are allowed')
+      .optional(),
+    attributes: productFields.attributes,
+    isActive: z.boolean().optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided',
+  });
+
+export const listProductsSchema = z
+  .object({
+    q: z.string().trim().min(1).max(200).optional(),
+    artistId: z.string().uuid().optional(),
+    minPrice: z.coerce.number().min(0).optional(),
+    maxPrice: z.coerce.number().min(0).optional(),
+    // attr[materials]=canvas&attr[sizes]=A4
+    attr: z
+      .record(
+        z.string().min(1).max(50),
+        z.union([z.string().max(200), z.array(z.string().max(200)).max(20)])
+      )
+      .optional(),
+    sort: z
+      .enum(['relevance', 'newest', 'price_asc', 'price_desc', 'most_liked'])
+      .optional(),
+    cursor: z.string().max(500).optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+  })
+  .refine(
+    (data) =>
+      data.minPrice === undefined ||
+      data.maxPrice === undefined ||
+      data.minPrice <= data.maxPrice,
+    { message: 'minPrice must not exceed maxPrice', path: ['minPrice'] }
+  );
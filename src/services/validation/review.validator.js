@@ -0,0 +1,43 @@
+import { z } from 'zod';
+import { ReviewReportStatus } from '../../utils/constants.js';
+
+const rating = z.number().int().min(1, 'Rating must be between 1 and 5').max(5, 'Rating must be between 1 and 5');
+const comment = z.string().trim().max(2000);
+
+export const createReviewSchema = z.object({
+  rating,
+  comment: comment.optional(),
+});
+
+export const updateReviewSchema = z
+  .object({
+    rating: rating.optional(),
+    comment: comment.nullable().optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided',
+  });
+
+export const replyReviewSchema = z.object({
+  reply: z.string().trim().min(1).max(2000),
+});
+
+export const reportReviewSchema = z.object({
+  reason: z.string().trim().min(5, 'Please describe the problem').max(1000),
+});
+
+export const listReviewsSchema = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export const listReviewReportsSchema = z.object({
+  status: z.nativeEnum(ReviewReportStatus).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export const resolveReviewReportSchema = z.object({
+  action: z.enum(['DISMISS', 'HIDE']),
+});
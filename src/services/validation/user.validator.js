@@ -0,0 +1,37 @@
+import { z } from 'zod';
+
+export const updateProfileSchema = z
+  .object({
+    firstName: z.string().trim().max(50).nullable().optional(),
+    lastName: z.string().trim().max(50).nullable().optional(),
+    username: z
+      .string()
+      .trim()
+      .min(3, 'Username must be at least 3 characters')
+      .max(30, 'Username must be at most 30 characters')
+      .regex(/^[a-zA-Z0-9._-]+$/, 'Username may only contain letters, numbers, dots, dashes and underscores')
+      .optional(),
+    followDigestEnabled: z.boolean().optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided',
+  });
+
+// Sensitive changes need the password, or for Google accounts a fresh Google ID token.
+const reauthFields = {
+  password: z.string().min(1).optional(),
+  googleIdToken: z.string().min(1).optional(),
+};
+
+const requireReauth = (data) => Boolean(data.password || data.googleIdToken);
+const reauthMessage = { message: 'Password or Google ID token is required' };
+
+export const changeEmailSchema = z
+  .object({
+    newEmail: z.string().trim().toLowerCase().email('Invalid email address'),
+    ...reauthFields,
+  })
+  .refine(requireReauth, reauthMessage);
+
+export const deleteAccountSchema = z.object(reauthFields).refine(requireReauth, reauthMessage);
@@ -0,0 +1,7 @@
+// Extract the client details recorded against a login session.
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null,
+});
+
+export default getClientInfo;
@@ -3,4 +3,149 @@ export const UserRole = Object.freeze({
     ARTIST: 'ARTIST',
     ADMIN: 'ADMIN',
   });
-  
\ No newline at end of file
+
+export const ArtistApplicationStatus = Object.freeze({
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+  });
+
+export const DataExportStatus = Object.freeze({
+    PENDING: 'PENDING',
+    READY: 'READY',
+    FAILED: 'FAILED',
+  });
+
+export const AuditEventType = Object.freeze({
+    LOGIN_SUCCESS: 'LOGIN_SUCCESS',
+    LOGIN_FAILURE: 'LOGIN_FAILURE',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+    PASSWORD_RESET_COMPLETED: 'PASSWORD_RESET_COMPLETED',
+    MAGIC_LINK_REQUESTED: 'MAGIC_LINK_REQUESTED',
+    PASSWORD_CHANGED: 'PASSWORD_CHANGED',
+    EMAIL_VERIFIED: 'EMAIL_VERIFIED',
+    GOOGLE_LINKED: 'GOOGLE_LINKED',
+    TOKEN_REFRESHED: 'TOKEN_REFRESHED',
+    TOKEN_REVOKED: 'TOKEN_REVOKED',
+    TOKEN_REUSE_DETECTED: 'TOKEN_REUSE_DETECTED',
+  });
+
+export const OrderStatus = Object.freeze({
+    DRAFT: 'DRAFT',
+    PENDING: 'PENDING',
+    PROCESSING: 'PROCESSING',
+    COMPLETED: 'COMPLETED',
+    CANCELLED: 'CANCELLED',
+  });
+
+export const PaymentStatus = Object.freeze({
+    PENDING: 'PENDING',
+    AUTHORIZED: 'AUTHORIZED',
+    CAPTURED: 'CAPTURED',
+    REFUNDED: 'REFUNDED',
+    FAILED: 'FAILED',
+  });
+
+export const RefundStatus = Object.freeze({
+    PENDING: 'PENDING',
+    SUCCEEDED: 'SUCCEEDED',
+    FAILED: 'FAILED',
+  });
+
+export const LedgerAccount = Object.freeze({
+    PLATFORM_CASH: 'PLATFORM_CASH',
+    PLATFORM_COMMISSION: 'PLATFORM_COMMISSION',
+    ARTIST_EARNINGS: 'ARTIST_EARNINGS',
+    ARTIST_PAYOUTS: 'ARTIST_PAYOUTS',
+  });
+
+export const LedgerTransactionType = Object.freeze({
+    PAYMENT_CAPTURED: 'PAYMENT_CAPTURED',
+    REFUND: 'REFUND',
+    CHARGEBACK: 'CHARGEBACK',
+    PAYOUT_LOCKED: 'PAYOUT_LOCKED',
+    PAYOUT_PAID: 'PAYOUT_PAID',
+  });
+
+export const PayoutBatchStatus = Object.freeze({
+    LOCKED: 'LOCKED',
+    EXPORTED: 'EXPORTED',
+    PAID: 'PAID',
+  });
+
+export const InvoiceType = Object.freeze({
+    INVOICE: 'INVOICE',
+    CREDIT_NOTE: 'CREDIT_NOTE',
+  });
+
+export const DiscountType = Object.freeze({
+    PERCENTAGE: 'PERCENTAGE',
+    FIXED: 'FIXED',
+  });
+
+export const ReviewReportStatus = Object.freeze({
+    OPEN: 'OPEN',
+    DISMISSED: 'DISMISSED',
+    ACTIONED: 'ACTIONED',
+  });
+
+export const PriceStatus = Object.freeze({
+    PENDING: 'PENDING',
+    QUOTED: 'QUOTED',
+    APPROVED: 'APPROVED',
+    NEEDS_REVISION: 'NEEDS_REVISION',
+  });
+
+// Who is acting on an order, relative to that order.
+export const OrderActor = Object.freeze({
+    BUYER: 'BUYER',
+    ARTIST: 'ARTIST',
+    ADMIN: 'ADMIN',
+    SYSTEM: 'SYSTEM',
+  });
+
+export const OrderAction = Object.freeze({
+    SUBMIT: 'SUBMIT',
+    QUOTE: 'QUOTE',
+    APPROVE_QUOTE: 'APPROVE_QUOTE',
+    REQUEST_REVISION: 'REQUEST_REVISION',
+    START_WORK: 'START_WORK',
+    COMPLETE: 'COMPLETE',
+    CANCEL: 'CANCEL',
+  });
+
+export const QuoteStatus = Object.freeze({
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    REVISION_REQUESTED: 'REVISION_REQUESTED',
+    SUPERSEDED: 'SUPERSEDED',
+    EXPIRED: 'EXPIRED',
+  });
+
+export const QuoteLineItemType = Object.freeze({
+    BASE: 'BASE',
+    RUSH_FEE: 'RUSH_FEE',
+    MATERIALS: 'MATERIALS',
+    OTHER: 'OTHER',
+  });
+
+export const FileScanStatus = Object.freeze({
+    PENDING: 'PENDING',
+    CLEAN: 'CLEAN',
+    INFECTED: 'INFECTED',
+    FAILED: 'FAILED',
+  });
+
+export const MilestoneType = Object.freeze({
+    SKETCH: 'SKETCH',
+    LINE_ART: 'LINE_ART',
+    FINAL: 'FINAL',
+  });
+
+export const MilestoneStatus = Object.freeze({
+    PENDING: 'PENDING',
+    IN_REVIEW: 'IN_REVIEW',
+    CHANGES_REQUESTED: 'CHANGES_REQUESTED',
+    APPROVED: 'APPROVED',
+  });
\ No newline at end of file
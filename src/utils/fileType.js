@@ -0,0 +1,32 @@
+// Identify a file from its leading bytes rather than trusting the client's
+// Content-Type or file extension.
+const SIGNATURES = [
+  { mime: 'image/jpeg', ext: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/png', ext: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/gif', ext: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mime: 'application/pdf', ext: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+];
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+export function detectFileType(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  const match = SIGNATURES.find(({ bytes }) => startsWith(buffer, bytes));
+  if (match) {
+    return { mime: match.mime, ext: match.ext };
+  }
+
+  // WebP is a RIFF container: "RIFF" <size> "WEBP"
+  if (
+    startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+    startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)
+  ) {
+    return { mime: 'image/webp', ext: 'webp' };
+  }
+
+  return null;
+}
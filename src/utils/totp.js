@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps).
+const DIGITS = 6;
+const PERIOD = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random 160-bit secret, base32 encoded for authenticator apps.
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / PERIOD);
+
+// HOTP value (RFC 4226) for a given counter.
+export const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and its neighbours to allow for clock drift.
+// Returns the matching time step, or null if the code is invalid.
+export const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  code = String(code ?? '');
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const step = currentTimeStep(timestamp);
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(generateCode(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(code))) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,15 @@
+// Minimal stand-ins for the Express request and response.
+export const mockRequest = (body) => ({ body, path: '/test', method: 'POST' });
+
+export const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
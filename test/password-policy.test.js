@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { passwordPolicyService } from '../src/services/password-policy.service.js';
+import { errorHandler } from '../src/middleware/error.middleware.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+test('policy violations are answered with 400 and one issue per rule', () => {
+  const req = mockRequest({ password: 'short' });
+  const res = mockResponse();
+
+  assert.throws(() => passwordPolicyService.assertValid('short', {}, ['newPassword']), (error) => {
+    errorHandler(error, req, res, () => {});
+    return true;
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.error.message, 'Validation Error');
+
+  const { issues } = res.body.error.details;
+  assert.ok(issues.length > 0);
+  for (const issue of issues) {
+    assert.equal(issue.path, 'newPassword');
+    assert.equal(typeof issue.message, 'string');
+  }
+  assert.ok(issues.some((issue) => /at least/i.test(issue.message)));
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { validate } from '../src/middleware/validator.middleware.js';
+import { errorHandler } from '../src/middleware/error.middleware.js';
+import { mockRequest, mockResponse } from './helpers/http.js';
+
+// Run `validate` and hand whatever it passes on to the error handler.
+const runValidation = (schema, body) => {
+  const req = mockRequest(body);
+  const res = mockResponse();
+  let passed = false;
+  validate(schema)(req, res, (error) => {
+    if (error) {
+      errorHandler(error, req, res, () => {});
+    } else {
+      passed = true;
+    }
+  });
+  return { req, res, passed };
+};
+
+const schema = z.object({ email: z.string().email(), age: z.number().int() });
+
+test('invalid bodies are answered with 400 and the zod issues', () => {
+  const { res, passed } = runValidation(schema, { email: 'nope', age: 'x' });
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.error.message, 'Validation Error');
+  assert.deepEqual(
+    res.body.error.details.issues.map((issue) => issue.path),
+    ['email', 'age']
+  );
+});
+
+test('valid bodies are parsed and passed on', () => {
+  const { req, passed } = runValidation(schema, { email: 'a@b.co', age: 3, extra: true });
+
+  assert.equal(passed, true);
+  assert.deepEqual(req.body, { email: 'a@b.co', age: 3 });
+});